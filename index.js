@@ -1,7 +1,15 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
-const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
+const jwt = require("jsonwebtoken");
+const { initializeApp, cert } = require("firebase-admin/app");
+const { getAuth } = require("firebase-admin/auth");
+const multer = require("multer");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { once, EventEmitter } = require("events");
+const { MongoClient, ServerApiVersion, ObjectId, BSON } = require("mongodb");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -10,6 +18,24 @@ app.use(cors());
 app.use(express.json());
 
 const MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+
+// Without these every token request would fail at runtime; refuse to start instead
+if (!JWT_SECRET) throw new Error("JWT_SECRET must be set");
+if (!process.env.FIREBASE_SERVICE_ACCOUNT && !process.env.FIREBASE_PROJECT_ID)
+  throw new Error(
+    "FIREBASE_SERVICE_ACCOUNT or FIREBASE_PROJECT_ID must be set"
+  );
+
+// Verifies Firebase ID tokens for POST /jwt (the project ID is enough for that)
+const firebaseAuth = getAuth(
+  initializeApp(
+    process.env.FIREBASE_SERVICE_ACCOUNT
+      ? { credential: cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)) }
+      : { projectId: process.env.FIREBASE_PROJECT_ID }
+  )
+);
 
 const client = new MongoClient(MONGODB_URI, {
   serverApi: {
@@ -24,19 +50,58 @@ let artCollection;
 let favoritesCollection;
 let usersCollection;
 let reportsCollection;
+let likesCollection;
+let followsCollection;
+let commentsCollection;
+let galleriesCollection;
+let rateLimitsCollection;
+let notificationsCollection;
+let artRevisionsCollection;
+let uploadsCollection;
+let offersCollection;
+
+// Bump the name whenever the key or weights change so ensureIndexes rebuilds it
+const ART_TEXT_INDEX_NAME = "art_text_search_v2";
+
+async function ensureArtTextIndex() {
+  // a collection can only hold one text index, so drop outdated ones first
+  const existing = await artCollection.indexes().catch(() => []);
+  for (const idx of existing) {
+    if (idx.key?._fts === "text" && idx.name !== ART_TEXT_INDEX_NAME) {
+      await artCollection.dropIndex(idx.name);
+    }
+  }
+  await artCollection.createIndex(
+    {
+      title: "text",
+      userName: "text",
+      description: "text",
+      medium: "text",
+      tags: "text",
+    },
+    {
+      name: ART_TEXT_INDEX_NAME,
+      weights: { title: 10, userName: 5, tags: 5, medium: 3, description: 1 },
+    }
+  );
+}
 
 async function ensureIndexes() {
   try {
     if (!artCollection) return;
-    // text index for search on title and userName
-    await artCollection.createIndex({
-      title: "text",
-      userName: "text",
-      category: 1,
-    });
+    // text index for search on title, artist name, description and medium
+    await ensureArtTextIndex();
+    await artCollection.createIndex({ category: 1 });
+    await artCollection.createIndex({ tags: 1 });
     await artCollection.createIndex({ userEmail: 1 });
     await artCollection.createIndex({ createdAt: -1 });
     await artCollection.createIndex({ featured: 1, visibility: 1 });
+    await artCollection.createIndex({ featured: 1, featuredOrder: 1 });
+    await artCollection.createIndex({ image: 1 });
+    await artCollection.createIndex(
+      { deletedAt: 1 },
+      { partialFilterExpression: { deletedAt: { $type: "date" } } }
+    );
 
     // favorites collection indexes
     if (favoritesCollection) {
@@ -47,12 +112,138 @@ async function ensureIndexes() {
     // users collection indexes
     if (usersCollection) {
       await usersCollection.createIndex({ email: 1 }, { unique: true });
+      await usersCollection.createIndex(
+        { handle: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { handle: { $type: "string" } },
+        }
+      );
+      await usersCollection.createIndex({ createdAt: -1 });
+      await usersCollection.createIndex({ lastLogin: -1 });
+      // upload cleanup checks these before deleting a file
+      await usersCollection.createIndex({ photoURL: 1 });
+      await usersCollection.createIndex({ banner: 1 });
     }
 
     // reports collection indexes
     if (reportsCollection) {
       await reportsCollection.createIndex({ artId: 1 });
       await reportsCollection.createIndex({ createdAt: -1 });
+      await reportsCollection.createIndex({ status: 1, createdAt: -1 });
+      await reportsCollection.createIndex({ reporterEmail: 1 });
+      // one report per reporter per art, and per comment for comment reports
+      // (anonymized reports have a null reporter and are left out)
+      await reportsCollection.createIndex(
+        { reporterEmail: 1, artId: 1 },
+        {
+          unique: true,
+          partialFilterExpression: {
+            targetType: "art",
+            reporterEmail: { $type: "string" },
+          },
+        }
+      );
+      await reportsCollection.createIndex(
+        { reporterEmail: 1, commentId: 1 },
+        {
+          unique: true,
+          partialFilterExpression: {
+            commentId: { $type: "objectId" },
+            reporterEmail: { $type: "string" },
+          },
+        }
+      );
+    }
+
+    // likes collection indexes (one like per user per art)
+    if (likesCollection) {
+      await likesCollection.createIndex(
+        { artId: 1, userEmail: 1 },
+        { unique: true }
+      );
+      await likesCollection.createIndex({ artId: 1, createdAt: -1 });
+      await likesCollection.createIndex({ userEmail: 1 });
+    }
+
+    // follows collection indexes (one follow per follower/artist pair)
+    if (followsCollection) {
+      await followsCollection.createIndex(
+        { followerEmail: 1, followingEmail: 1 },
+        { unique: true }
+      );
+      await followsCollection.createIndex({ followingEmail: 1 });
+    }
+
+    // comments collection indexes
+    if (commentsCollection) {
+      await commentsCollection.createIndex({
+        artId: 1,
+        parentId: 1,
+        createdAt: -1,
+      });
+      await commentsCollection.createIndex({ parentId: 1 });
+      await commentsCollection.createIndex({ userEmail: 1 });
+    }
+
+    // galleries (user collections) indexes
+    if (galleriesCollection) {
+      await galleriesCollection.createIndex({ userEmail: 1, updatedAt: -1 });
+      await galleriesCollection.createIndex({ artIds: 1 });
+      await galleriesCollection.createIndex({ coverImage: 1 });
+    }
+
+    // rate limit windows expire on their own
+    if (rateLimitsCollection) {
+      await rateLimitsCollection.createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+      );
+    }
+
+    // notifications: newest-first per recipient, dropped once expiresAt passes
+    if (notificationsCollection) {
+      await notificationsCollection.createIndex({
+        recipientEmail: 1,
+        createdAt: -1,
+        _id: -1,
+      });
+      await notificationsCollection.createIndex({ recipientEmail: 1, read: 1 });
+      // like notifications are upserted on these (see notify's upsertOn)
+      await notificationsCollection.createIndex({
+        type: 1,
+        actorEmail: 1,
+        artId: 1,
+      });
+      await notificationsCollection.createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+      );
+      await notificationsCollection.createIndex({ actorEmail: 1 });
+    }
+
+    // art edit history
+    if (artRevisionsCollection) {
+      await artRevisionsCollection.createIndex({
+        artId: 1,
+        createdAt: -1,
+        _id: -1,
+      });
+      await artRevisionsCollection.createIndex({ editorEmail: 1 });
+    }
+
+    // uploaded images, deduplicated by content hash
+    if (uploadsCollection) {
+      await uploadsCollection.createIndex({ hash: 1 }, { unique: true });
+      await uploadsCollection.createIndex({ url: 1 });
+      await uploadsCollection.createIndex({ uploaderEmail: 1 });
+    }
+
+    // purchase offers and inquiries
+    if (offersCollection) {
+      await offersCollection.createIndex({ artId: 1, status: 1 });
+      await offersCollection.createIndex({ buyerEmail: 1, updatedAt: -1 });
+      await offersCollection.createIndex({ artistEmail: 1, updatedAt: -1 });
     }
 
     console.log("Indexes ensured");
@@ -61,14 +252,26 @@ async function ensureIndexes() {
   }
 }
 
+function getCollections() {
+  return {
+    artCollection,
+    favoritesCollection,
+    usersCollection,
+    reportsCollection,
+    likesCollection,
+    followsCollection,
+    commentsCollection,
+    galleriesCollection,
+    rateLimitsCollection,
+    notificationsCollection,
+    artRevisionsCollection,
+    uploadsCollection,
+    offersCollection,
+  };
+}
+
 async function connectDB() {
-  if (db)
-    return {
-      artCollection,
-      favoritesCollection,
-      usersCollection,
-      reportsCollection,
-    };
+  if (db) return getCollections();
 
   try {
     if (!client.topology || !client.topology.isConnected()) {
@@ -80,28 +283,573 @@ async function connectDB() {
     favoritesCollection = db.collection("favorites");
     usersCollection = db.collection("users");
     reportsCollection = db.collection("reports");
+    likesCollection = db.collection("likes");
+    followsCollection = db.collection("follows");
+    commentsCollection = db.collection("comments");
+    galleriesCollection = db.collection("galleries");
+    rateLimitsCollection = db.collection("rateLimits");
+    notificationsCollection = db.collection("notifications");
+    artRevisionsCollection = db.collection("artRevisions");
+    uploadsCollection = db.collection("uploads");
+    offersCollection = db.collection("offers");
 
     await ensureIndexes();
 
     console.log("Connected to MongoDB");
-    return {
-      artCollection,
-      favoritesCollection,
-      usersCollection,
-      reportsCollection,
-    };
+    return getCollections();
   } catch (err) {
     console.error("Failed to connect to MongoDB", err);
     throw err;
   }
 }
 
+let transactionsSupported;
+
+// Transactions need a replica set or mongos; a standalone mongod has neither
+async function supportsTransactions() {
+  if (transactionsSupported === undefined) {
+    try {
+      const hello = await db.admin().command({ hello: 1 });
+      transactionsSupported = !!hello.setName || hello.msg === "isdbgrid";
+    } catch (err) {
+      transactionsSupported = false;
+    }
+  }
+  return transactionsSupported;
+}
+
+// Runs fn(session) in a transaction when possible, otherwise without a session
+async function withTransaction(fn) {
+  await connectDB();
+  if (!(await supportsTransactions())) return fn(undefined);
+
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Shared page/limit parsing for list endpoints
+function parsePagination(query, defaultLimit = 12, maxLimit = 100) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    maxLimit,
+    Math.max(1, parseInt(query.limit, 10) || defaultLimit)
+  );
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Lists that used to return a bare array keep doing so (unpaged) for clients
+// that send none of page, limit or cursor
+function wantsPagination(query) {
+  return ["page", "limit", "cursor"].some((key) => query[key] !== undefined);
+}
+
+// --- Cursor Pagination ---
+// Opaque cursors hold the sort fields and the last item's values for them.
+// Every sort used with cursors must end in _id so positions are unique.
+
+function encodeCursor(doc, sort) {
+  const fields = Object.keys(sort);
+  const payload = { f: fields, v: fields.map((f) => doc[f] ?? null) };
+  return Buffer.from(BSON.EJSON.stringify(payload)).toString("base64url");
+}
+
+// Cursors come from the client, so only plain sort values are accepted;
+// anything else (e.g. an operator object like { $ne: 1 }) is rejected
+function isCursorValue(field, value) {
+  if (field === "_id") return value instanceof ObjectId;
+  return (
+    value === null ||
+    typeof value === "string" ||
+    typeof value === "boolean" ||
+    (typeof value === "number" && Number.isFinite(value)) ||
+    (value instanceof Date && !isNaN(value)) ||
+    value instanceof ObjectId
+  );
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const payload = BSON.EJSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    const fields = Object.keys(sort);
+    if (
+      !Array.isArray(payload.f) ||
+      !Array.isArray(payload.v) ||
+      payload.f.join() !== fields.join() ||
+      payload.v.length !== fields.length ||
+      !fields.every((f, i) => isCursorValue(f, payload.v[i]))
+    )
+      return null;
+    return payload.v;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Conditions for values after `value` on one field. MongoDB sorts
+// null/missing before every other value: first ascending, last descending.
+function cursorRanges(direction, value) {
+  if (value === null) return direction === 1 ? [{ $ne: null }] : [];
+  if (direction === 1) return [{ $gt: value }];
+  return [{ $lt: value }, null];
+}
+
+// Matches items strictly after the cursor position in the given sort order
+function buildCursorMatch(sort, values) {
+  const fields = Object.keys(sort);
+  const clauses = [];
+  fields.forEach((field, i) => {
+    for (const range of cursorRanges(sort[field], values[i])) {
+      if (range === null && field === "_id") continue; // _id is never null
+      const clause = {};
+      for (let j = 0; j < i; j++) clause[fields[j]] = values[j];
+      clause[field] = range;
+      clauses.push(clause);
+    }
+  });
+  return { $or: clauses };
+}
+
+// Cursor mode is on when the request carries a `cursor` param ("" = first page)
+function parseCursorParams(query, sort) {
+  if (query.cursor === undefined) return { enabled: false };
+  if (Object.values(sort).some((dir) => dir !== 1 && dir !== -1)) {
+    return { error: "Cursor pagination is not supported for this sort" };
+  }
+  if (query.cursor === "") return { enabled: true, match: null };
+
+  const values = decodeCursor(query.cursor, sort);
+  if (!values) return { error: "Invalid cursor" };
+  return { enabled: true, match: buildCursorMatch(sort, values) };
+}
+
+// Adds the cursor condition without disturbing existing top-level operators
+function withCursorMatch(query, cursorMatch) {
+  if (!cursorMatch) return query;
+  return { ...query, $and: [...(query.$and || []), cursorMatch] };
+}
+
+// Expects limit + 1 items; the extra one only signals that more exist
+function buildCursorPage(items, limit, sort) {
+  const hasMore = items.length > limit;
+  const data = hasMore ? items.slice(0, limit) : items;
+  return {
+    limit,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null,
+    data,
+  };
+}
+
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
 function normalizeVisibility(v) {
   if (!v) return "Public";
   const s = String(v).trim().toLowerCase();
   return s === "private" ? "Private" : "Public";
 }
 
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Tags are lowercase, dash-separated words ("Oil Painting" -> "oil-painting")
+function normalizeTag(tag) {
+  return String(tag)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{M}\p{N}-]/gu, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+function normalizeTags(tags) {
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+// Accepts ?tags=a,b and/or repeated ?tags=a&tags=b
+function parseTagsParam(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return normalizeTags(list.flatMap((v) => String(v).split(",")));
+}
+
+const OPEN_REPORT_STATUSES = ["pending", "reviewing"];
+
+// Pipeline stages adding reportCount (open reports only) to each art
+const reportCountStages = [
+  {
+    $lookup: {
+      from: "reports",
+      let: { artId: "$_id" },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $eq: ["$artId", "$$artId"] },
+            status: { $in: OPEN_REPORT_STATUSES },
+          },
+        },
+        { $count: "count" },
+      ],
+      as: "reportStats",
+    },
+  },
+  {
+    $set: { reportCount: { $ifNull: [{ $first: "$reportStats.count" }, 0] } },
+  },
+  { $unset: "reportStats" },
+];
+
+// --- Auth Middleware ---
+
+// Resolve the caller from the Bearer token (role always comes from the DB)
+async function getRequestUser(req) {
+  const authHeader = req.headers.authorization || "";
+  const [scheme, token] = authHeader.split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+
+  const { usersCollection } = await connectDB();
+  const user = await usersCollection.findOne({ email: decoded.email });
+  if (!user) return null;
+
+  return {
+    _id: user._id,
+    email: String(user.email).toLowerCase(),
+    name: user.name || user.displayName || "",
+    role: user.role || "User",
+  };
+}
+
+// Middleware: Require a valid JWT
+async function verifyToken(req, res, next) {
+  try {
+    req.user = await getRequestUser(req);
+  } catch (err) {
+    console.error("verifyToken error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+  if (!req.user) return res.status(401).json({ error: "Unauthorized access" });
+  next();
+}
+
+// Middleware: Attach the caller if a valid JWT is sent, otherwise continue anonymously
+async function optionalAuth(req, res, next) {
+  try {
+    req.user = await getRequestUser(req);
+  } catch (err) {
+    console.warn("optionalAuth failed", err);
+    req.user = null;
+  }
+  next();
+}
+
+// Middleware: Allow only admins (must run after verifyToken)
+function verifyAdmin(req, res, next) {
+  if (req.user?.role !== "Admin") {
+    return res.status(403).json({ error: "Forbidden access" });
+  }
+  next();
+}
+
+function isOwnerOrAdmin(user, email) {
+  if (!user) return false;
+  if (user.role === "Admin") return true;
+  return !!email && String(email).toLowerCase() === user.email;
+}
+
+// Adds likedByMe to each art for the calling user (false when anonymous)
+async function attachLikedByMe(arts, user) {
+  if (!arts.length) return arts;
+  let likedIds = new Set();
+  if (user) {
+    const likes = await likesCollection
+      .find(
+        { userEmail: user.email, artId: { $in: arts.map((a) => a._id) } },
+        { projection: { artId: 1 } }
+      )
+      .toArray();
+    likedIds = new Set(likes.map((l) => l.artId.toString()));
+  }
+  return arts.map((a) => ({ ...a, likedByMe: likedIds.has(a._id.toString()) }));
+}
+
+// --- Payload Validation ---
+// Schemas map each allowed body field to rules: type ("string", "number",
+// "boolean", "objectId", "date", "array"), required, minLength/maxLength,
+// min/max, enum (matched case-insensitively, stored as the canonical value),
+// format ("url" or "email"), allowEmpty (accept "" as "not set") and, for
+// arrays, items (rules for each entry) and maxItems.
+// Strings are trimmed and keys not declared in the schema are rejected.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+// Returns [value, error] for a single field
+function checkField(rules, raw) {
+  let value = raw;
+  if (rules.allowEmpty && (value === "" || value === null)) return [""];
+
+  switch (rules.type) {
+    case "string":
+      if (typeof value !== "string") return [null, "must be a string"];
+      value = value.trim();
+      if (rules.required && !value) return [null, "is required"];
+      if (rules.minLength && value.length < rules.minLength)
+        return [null, `must be at least ${rules.minLength} characters`];
+      if (rules.maxLength && value.length > rules.maxLength)
+        return [null, `must be at most ${rules.maxLength} characters`];
+      if (rules.format === "url" && !isHttpUrl(value))
+        return [null, "must be a valid http(s) URL"];
+      if (rules.format === "email" && !EMAIL_PATTERN.test(value))
+        return [null, "must be a valid email"];
+      if (rules.pattern && !rules.pattern.test(value))
+        return [null, rules.patternMessage || "has an invalid format"];
+      break;
+    case "number":
+      // numeric strings come from form inputs
+      if (typeof value === "string" && value.trim() !== "")
+        value = Number(value);
+      if (typeof value !== "number" || !Number.isFinite(value))
+        return [null, "must be a number"];
+      if (rules.min !== undefined && value < rules.min)
+        return [null, `must be at least ${rules.min}`];
+      if (rules.max !== undefined && value > rules.max)
+        return [null, `must be at most ${rules.max}`];
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return [null, "must be a boolean"];
+      break;
+    case "objectId":
+      if (typeof value !== "string" || !ObjectId.isValid(value))
+        return [null, "must be a valid id"];
+      break;
+    case "date":
+      value = typeof value === "string" ? new Date(value) : null;
+      if (!value || isNaN(value)) return [null, "must be a valid date"];
+      break;
+    case "array": {
+      if (!Array.isArray(value)) return [null, "must be an array"];
+      if (rules.maxItems && value.length > rules.maxItems)
+        return [null, `must have at most ${rules.maxItems} items`];
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const [item, message] = checkField(rules.items, value[i]);
+        if (message) return [null, `item ${i} ${message}`];
+        items.push(item);
+      }
+      return [items];
+    }
+    default:
+      return [null, "has an unsupported type"];
+  }
+
+  if (rules.enum) {
+    const match = rules.enum.find(
+      (opt) => String(opt).toLowerCase() === String(value).toLowerCase()
+    );
+    if (match === undefined)
+      return [null, `must be one of: ${rules.enum.join(", ")}`];
+    value = match;
+  }
+  return [value];
+}
+
+// Returns { value, errors } where value only holds declared fields
+function validatePayload(schema, body) {
+  if (body === undefined) body = {};
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: [{ field: "body", message: "must be a JSON object" }] };
+  }
+
+  const errors = [];
+  const value = {};
+  for (const key of Object.keys(body)) {
+    if (!schema[key]) errors.push({ field: key, message: "is not allowed" });
+  }
+  for (const [field, rules] of Object.entries(schema)) {
+    if (body[field] === undefined) {
+      if (rules.required) errors.push({ field, message: "is required" });
+      continue;
+    }
+    const [checked, message] = checkField(rules, body[field]);
+    if (message) errors.push({ field, message });
+    else value[field] = checked;
+  }
+  return { value, errors };
+}
+
+// Middleware: Validate req.body against a schema and replace it with the clean value
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validatePayload(schema, req.body);
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Validation failed", details: errors });
+    }
+    req.body = value;
+    next();
+  };
+}
+
+// --- Rate Limiting ---
+
+// Fixed-window counters live in the rateLimits collection (TTL-expired), so
+// limits hold across serverless instances. Set RATE_LIMIT_ENABLED=false to turn off.
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+
+// name: [max requests, window seconds]; override with RATE_LIMIT_<NAME>=max/seconds
+const RATE_LIMIT_DEFAULTS = {
+  write: [120, 60], // every write route, per IP
+  users: [10, 60],
+  arts: [20, 3600],
+  likes: [60, 60],
+  reports: [5, 3600],
+  comments: [10, 60],
+  uploads: [30, 3600],
+  offers: [20, 3600],
+};
+
+// req.ip is the proxy's address unless Express trusts it (on by default on Vercel)
+// Accepts true/false, a hop count, or a comma-separated list of IPs/subnets
+function parseTrustProxy(raw) {
+  const value = String(raw).trim();
+  if (value === "" || value.toLowerCase() === "false") return false;
+  if (value.toLowerCase() === "true") return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+const TRUST_PROXY = parseTrustProxy(
+  process.env.TRUST_PROXY ?? (process.env.VERCEL ? "1" : "")
+);
+if (TRUST_PROXY !== false) app.set("trust proxy", TRUST_PROXY);
+
+function rateLimitConfig(name) {
+  const [max, windowSec] = RATE_LIMIT_DEFAULTS[name];
+  const [envMax, envWindow] = String(
+    process.env[`RATE_LIMIT_${name.toUpperCase()}`] || ""
+  )
+    .split("/")
+    .map((n) => parseInt(n, 10));
+  return {
+    max: envMax > 0 ? envMax : max,
+    windowMs: (envWindow > 0 ? envWindow : windowSec) * 1000,
+  };
+}
+
+// Per user when a valid token is sent (no DB lookup needed), otherwise per IP
+function rateLimitKey(req, perIp) {
+  if (!perIp) {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme === "Bearer" && token) {
+      try {
+        const { email } = jwt.verify(token, JWT_SECRET);
+        if (email) return `user:${String(email).toLowerCase()}`;
+      } catch (err) {
+        // invalid tokens fall back to the IP
+      }
+    }
+  }
+  return `ip:${req.ip}`;
+}
+
+// Atomically counts a hit in the current window
+async function hitRateLimit(name, key, windowMs) {
+  const { rateLimitsCollection } = await connectDB();
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const resetAt = new Date(windowStart + windowMs);
+  const filter = { _id: `${name}:${key}:${windowStart}` };
+  const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } };
+  const options = { upsert: true, returnDocument: "after" };
+  let doc;
+  try {
+    doc = await rateLimitsCollection.findOneAndUpdate(filter, update, options);
+  } catch (err) {
+    // two first hits raced on the upsert; the retry increments the winner's doc
+    if (err.code !== 11000) throw err;
+    doc = await rateLimitsCollection.findOneAndUpdate(filter, update, options);
+  }
+  return { count: doc.count, resetAt };
+}
+
+// Middleware factory: sets RateLimit-* headers and answers 429 with Retry-After
+function rateLimit(name, { perIp = false } = {}) {
+  const { max, windowMs } = rateLimitConfig(name);
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) return next();
+    let hit;
+    try {
+      hit = await hitRateLimit(name, rateLimitKey(req, perIp), windowMs);
+    } catch (err) {
+      // fail open: a counter outage should not block every write
+      console.warn(`rateLimit ${name} failed`, err);
+      return next();
+    }
+    const remaining = Math.max(0, max - hit.count);
+    const resetSec = Math.max(1, Math.ceil((hit.resetAt - Date.now()) / 1000));
+    // with several limiters on one request, report the tightest one
+    const prev = res.getHeader("RateLimit-Remaining");
+    if (prev === undefined || remaining <= Number(prev)) {
+      res.set({
+        "RateLimit-Limit": String(max),
+        "RateLimit-Remaining": String(remaining),
+        "RateLimit-Reset": String(resetSec),
+      });
+    }
+    if (hit.count > max) {
+      res.set("Retry-After", String(resetSec));
+      return res
+        .status(429)
+        .json({ error: "Too many requests", retryAfter: resetSec });
+    }
+    next();
+  };
+}
+
+const WRITE_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+const writeRateLimit = rateLimit("write", { perIp: true });
+
+// Per-IP ceiling on every write route
+app.use((req, res, next) =>
+  WRITE_METHODS.has(req.method) ? writeRateLimit(req, res, next) : next()
+);
+
+// Tighter per-user limits on the routes scripts tend to hammer
+app.post(["/users", "/jwt"], rateLimit("users"));
+app.post("/arts", rateLimit("arts"));
+app.patch(["/arts/:id/like", "/arts/:id/unlike"], rateLimit("likes"));
+app.post("/reports", rateLimit("reports"));
+app.post("/arts/:id/comments", rateLimit("comments"));
+app.post("/uploads", rateLimit("uploads"));
+app.post("/arts/:id/offers", rateLimit("offers"));
+
 // API: Health Check
 app.get("/", (req, res) =>
   res.json({
@@ -119,22 +867,64 @@ app.get("/", (req, res) =>
 
 // --- User Management Endpoints ---
 
-// API: Create or Update User
-app.post("/users", async (req, res) => {
+// The email behind a Firebase ID token, or null when the token is invalid
+async function verifyFirebaseEmail(idToken) {
+  try {
+    const { email } = await firebaseAuth.verifyIdToken(idToken);
+    return email || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+const userSyncSchema = {
+  idToken: { type: "string", required: true, maxLength: 4096 },
+  // optional; the account is always the one the ID token belongs to
+  email: { type: "string", format: "email", maxLength: 254 },
+  name: { type: "string", maxLength: 80, allowEmpty: true },
+  displayName: { type: "string", maxLength: 80, allowEmpty: true },
+  photoURL: {
+    type: "string",
+    format: "url",
+    maxLength: 2048,
+    allowEmpty: true,
+  },
+};
+
+const tokenRequestSchema = {
+  idToken: { type: "string", required: true, maxLength: 4096 },
+};
+
+const userRoleSchema = {
+  role: { type: "string", required: true, enum: ["Admin", "User"] },
+};
+
+// API: Create or Update User (for the user behind a Firebase ID token)
+app.post("/users", validateBody(userSyncSchema), async (req, res) => {
   try {
     const { usersCollection } = await connectDB();
     const user = req.body;
-    const query = { email: user.email };
+    // the email comes from the verified token, never from the body
+    const email = await verifyFirebaseEmail(user.idToken);
+    if (!email) return res.status(401).json({ error: "Invalid ID token" });
+    if (user.email && user.email.toLowerCase() !== email.toLowerCase())
+      return res.status(403).json({ error: "Forbidden access" });
+    const query = { email };
+    const existing = await usersCollection.findOne(query);
+    // Fallback to displayName if 'name' is missing; missing values become ""
+    const name = user.name || user.displayName || "";
+    const photoURL = user.photoURL || "";
+    // the auth provider's name/photo only apply until the profile is edited
+    const syncProfile = !existing?.profileUpdatedAt;
 
     // 1. Prepare the update data
     const updateDoc = {
       $set: {
-        name: user.name || user.displayName, // Fallback to displayName if 'name' is missing, covering both cases
-        photoURL: user.photoURL, // Always update photo
+        ...(syncProfile && { name, photoURL }),
         lastLogin: new Date(), // Keep track of when they last logged in
       },
       $setOnInsert: {
-        email: user.email,
+        email,
         createdAt: new Date(),
         role: "User", // Default role (capitalized for consistency)
       },
@@ -145,6 +935,15 @@ app.post("/users", async (req, res) => {
       upsert: true,
     });
 
+    // keep art cards and comments in step with a changed name or photo
+    if (
+      existing &&
+      syncProfile &&
+      ((existing.name || "") !== name || (existing.photoURL || "") !== photoURL)
+    ) {
+      await syncArtistProfile({ ...existing, name, photoURL });
+    }
+
     res.send(result);
   } catch (err) {
     console.error("POST /users error", err);
@@ -152,25 +951,156 @@ app.post("/users", async (req, res) => {
   }
 });
 
-// API: Get All Users (Admin)
-app.get("/users", async (req, res) => {
+// API: Issue JWT for the user behind a Firebase ID token (call after POST /users sync)
+app.post("/jwt", validateBody(tokenRequestSchema), async (req, res) => {
   try {
-    const { usersCollection, artCollection } = await connectDB();
-    // In a real app, verify admin token here
+    const { usersCollection } = await connectDB();
 
-    const users = await usersCollection.find().toArray();
+    // the email comes from the verified token, never from the body
+    const email = await verifyFirebaseEmail(req.body.idToken);
+    if (!email) return res.status(401).json({ error: "Invalid ID token" });
 
-    // Enhance user data with art stats
-    const enhancedUsers = await Promise.all(
-      users.map(async (u) => {
-        const artCount = await artCollection.countDocuments({
-          userEmail: u.email,
-        });
-        return { ...u, totalArts: artCount };
-      })
+    const user = await usersCollection.findOne({ email });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const token = jwt.sign(
+      { email: user.email, role: user.role || "User" },
+      JWT_SECRET,
+      { expiresIn: JWT_EXPIRES_IN }
     );
+    return res.json({ token });
+  } catch (err) {
+    console.error("POST /jwt error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Builds the $match for admin user lists from query params; returns { error } on bad input
+function buildUserMatch(params) {
+  const { search, role } = params;
+  const match = {};
+
+  if (role) {
+    const canonical = ["Admin", "User"].find(
+      (r) => r.toLowerCase() === String(role).trim().toLowerCase()
+    );
+    if (!canonical) return { error: "Invalid role" };
+    // users created before roles existed count as "User"
+    match.role = canonical === "User" ? { $in: ["User", null] } : "Admin";
+  }
 
-    return res.json(enhancedUsers);
+  const term = typeof search === "string" ? search.trim() : "";
+  if (term) {
+    const regex = new RegExp(escapeRegex(term), "i");
+    match.$or = [{ name: regex }, { displayName: regex }, { email: regex }];
+  }
+
+  return { match };
+}
+
+// Pipeline stages adding totalArts, totalLikes (received), reportsReceived
+// (open reports on their arts) and reportsFiled to each user.
+// Arts store lowercase emails, user documents may not.
+const userStatsStages = [
+  {
+    $lookup: {
+      from: "arts",
+      let: { email: { $toLower: "$email" } },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $eq: ["$userEmail", "$$email"] },
+            deletedAt: null,
+          },
+        },
+        ...reportCountStages,
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            likes: { $sum: { $ifNull: ["$likes", 0] } },
+            reports: { $sum: "$reportCount" },
+          },
+        },
+      ],
+      as: "artStats",
+    },
+  },
+  {
+    $lookup: {
+      from: "reports",
+      localField: "email",
+      foreignField: "reporterEmail",
+      pipeline: [{ $count: "count" }],
+      as: "filedStats",
+    },
+  },
+  {
+    $set: {
+      totalArts: { $ifNull: [{ $first: "$artStats.count" }, 0] },
+      totalLikes: { $ifNull: [{ $first: "$artStats.likes" }, 0] },
+      reportsReceived: { $ifNull: [{ $first: "$artStats.reports" }, 0] },
+      reportsFiled: { $ifNull: [{ $first: "$filedStats.count" }, 0] },
+    },
+  },
+  { $unset: ["artStats", "filedStats"] },
+];
+
+const USER_SORTS = {
+  recent: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  lastLogin: { lastLogin: -1, _id: -1 },
+  arts: { totalArts: -1, _id: -1 },
+  likes: { totalLikes: -1, _id: -1 },
+};
+// sorts on computed stats need them before $sort
+const USER_COMPUTED_SORTS = ["arts", "likes"];
+
+// API: Get All Users (Admin; supports search, role, sort, page/limit or cursor)
+app.get("/users", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { usersCollection } = await connectDB();
+    const { sort = "recent" } = req.query;
+    const { page, limit, skip } = parsePagination(req.query, 20);
+
+    if (!Object.hasOwn(USER_SORTS, sort))
+      return res.status(400).json({ error: "Invalid sort" });
+    const sortObj = USER_SORTS[sort];
+
+    const { match, error } = buildUserMatch(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const pager = parseCursorParams(req.query, sortObj);
+    if (pager.error) return res.status(400).json({ error: pager.error });
+    const afterCursor = pager.match ? [{ $match: pager.match }] : [];
+    const paged = wantsPagination(req.query);
+    const window = pager.enabled
+      ? [{ $limit: limit + 1 }]
+      : paged
+        ? [{ $skip: skip }, { $limit: limit }]
+        : [];
+
+    const pipeline = USER_COMPUTED_SORTS.includes(sort)
+      ? [
+          { $match: match },
+          ...userStatsStages,
+          ...afterCursor,
+          { $sort: sortObj },
+          ...window,
+        ]
+      : [
+          { $match: match },
+          ...afterCursor,
+          { $sort: sortObj },
+          ...window,
+          ...userStatsStages,
+        ];
+
+    const data = await usersCollection.aggregate(pipeline).toArray();
+    if (pager.enabled) return res.json(buildCursorPage(data, limit, sortObj));
+    if (!paged) return res.json(data);
+    const total = await usersCollection.countDocuments(match);
+    return res.json({ total, page, limit, data });
   } catch (err) {
     console.error("GET /users error", err);
     return res.status(500).json({ error: "Internal server error" });
@@ -197,48 +1127,235 @@ app.get("/users/admin/:email", async (req, res) => {
 });
 
 // API: Update User Role
-app.patch("/users/:id/role", async (req, res) => {
-  try {
-    const { usersCollection } = await connectDB();
-    const { id } = req.params;
-    let { role } = req.body; // "Admin" or "User"
+app.patch(
+  "/users/:id/role",
+  verifyToken,
+  verifyAdmin,
+  validateBody(userRoleSchema),
+  async (req, res) => {
+    try {
+      const { usersCollection } = await connectDB();
+      const { id } = req.params;
+      const { role } = req.body; // "Admin" or "User" (normalized by the schema)
 
-    if (!ObjectId.isValid(id)) {
-      console.warn(`PATCH /users/${id}/role: Invalid ID`);
-      return res.status(400).json({ error: "Invalid ID" });
-    }
+      if (!ObjectId.isValid(id)) {
+        console.warn(`PATCH /users/${id}/role: Invalid ID`);
+        return res.status(400).json({ error: "Invalid ID" });
+      }
 
-    if (role && typeof role === "string") {
-      const lower = role.trim().toLowerCase();
-      if (lower === "admin") role = "Admin";
-      else if (lower === "user") role = "User";
-    }
-
-    if (!["Admin", "User"].includes(role)) {
-      console.warn(`PATCH /users/${id}/role: Invalid role '${role}'`);
-      return res.status(400).json({ error: "Invalid role" });
+      const result = await usersCollection.updateOne(
+        { _id: new ObjectId(id) },
+        { $set: { role: role } }
+      );
+      if (result.modifiedCount) {
+        const user = await usersCollection.findOne(
+          { _id: new ObjectId(id) },
+          { projection: { email: 1 } }
+        );
+        await notify([
+          {
+            recipientEmail: user?.email,
+            type: "role",
+            actorEmail: req.user.email,
+            actorName: req.user.name,
+            role,
+            message: `Your role was changed to ${role}`,
+          },
+        ]);
+      }
+      return res.json(result);
+    } catch (err) {
+      console.error("PATCH /users/:id/role error", err);
+      return res.status(500).json({ error: "Internal server error" });
     }
+  }
+);
 
-    const result = await usersCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: { role: role } }
+// Every address a user's data may be stored under (arts use lowercase)
+function userEmails(user) {
+  return [...new Set([user.email, String(user.email).toLowerCase()])];
+}
+
+// Removes the user and everything tied to their email; filed reports are
+// kept for moderation history but anonymized. Like counts on other people's
+// art are corrected for the likes this user leaves behind.
+async function deleteUserAccount(user) {
+  const emails = { $in: userEmails(user) };
+  let images = [];
+
+  const result = await withTransaction(async (session) => {
+    const opts = { session };
+    const summary = {};
+
+    // their own arts and everything attached to them
+    const arts = await artCollection
+      .find({ userEmail: emails }, { projection: { image: 1 }, session })
+      .toArray();
+    images = arts.map((a) => a.image);
+    const artIds = { $in: arts.map((a) => a._id) };
+    await favoritesCollection.deleteMany({ artId: artIds }, opts);
+    await likesCollection.deleteMany({ artId: artIds }, opts);
+    await commentsCollection.deleteMany({ artId: artIds }, opts);
+    await reportsCollection.deleteMany({ artId: artIds }, opts);
+    await artRevisionsCollection.deleteMany({ artId: artIds }, opts);
+    await offersCollection.deleteMany({ artId: artIds }, opts);
+    await galleriesCollection.updateMany(
+      { artIds: artIds },
+      { $pull: { artIds: artIds } },
+      opts
+    );
+    summary.arts = (
+      await artCollection.deleteMany({ _id: artIds }, opts)
+    ).deletedCount;
+
+    // likes on other arts (one per art, guaranteed by the unique index)
+    const likes = await likesCollection
+      .find({ userEmail: emails }, { projection: { artId: 1 }, session })
+      .toArray();
+    await artCollection.updateMany(
+      { _id: { $in: likes.map((l) => l.artId) }, likes: { $gt: 0 } },
+      { $inc: { likes: -1 } },
+      opts
+    );
+    summary.likes = (
+      await likesCollection.deleteMany({ userEmail: emails }, opts)
+    ).deletedCount;
+
+    summary.favorites = (
+      await favoritesCollection.deleteMany({ userEmail: emails }, opts)
+    ).deletedCount;
+
+    // their comments plus replies hanging off them
+    const comments = await commentsCollection
+      .find(
+        { userEmail: emails, parentId: null },
+        { projection: { _id: 1 }, session }
+      )
+      .toArray();
+    summary.comments = (
+      await commentsCollection.deleteMany(
+        {
+          $or: [
+            { userEmail: emails },
+            { parentId: { $in: comments.map((c) => c._id) } },
+          ],
+        },
+        opts
+      )
+    ).deletedCount;
+
+    summary.reportsAnonymized = (
+      await reportsCollection.updateMany(
+        { reporterEmail: emails },
+        { $set: { reporterEmail: null, reporterAnonymized: true } },
+        opts
+      )
+    ).modifiedCount;
+    await reportsCollection.updateMany(
+      { commentAuthorEmail: emails },
+      { $unset: { commentAuthorEmail: "" } },
+      opts
+    );
+
+    await followsCollection.deleteMany(
+      { $or: [{ followerEmail: emails }, { followingEmail: emails }] },
+      opts
+    );
+    await notificationsCollection.deleteMany({ recipientEmail: emails }, opts);
+    // notifications they caused stay with the recipient, without their name
+    await notificationsCollection.updateMany(
+      { actorEmail: emails },
+      [
+        {
+          $set: {
+            message: {
+              $cond: [
+                { $gt: [{ $strLenCP: { $ifNull: ["$actorName", ""] } }, 0] },
+                {
+                  $replaceAll: {
+                    input: "$message",
+                    find: "$actorName",
+                    replacement: "Someone",
+                  },
+                },
+                "$message",
+              ],
+            },
+            actorEmail: null,
+            actorName: null,
+            actorAnonymized: true,
+          },
+        },
+      ],
+      opts
+    );
+    await uploadsCollection.updateMany(
+      { uploaderEmail: emails },
+      { $set: { uploaderEmail: null } },
+      opts
+    );
+    // edits they made to other people's arts (their own arts are gone)
+    await artRevisionsCollection.updateMany(
+      { editorEmail: emails },
+      { $set: { editorEmail: null, editorName: null } },
+      opts
     );
+    // release arts reserved for one of their offers (sold arts stay sold)
+    const offers = await offersCollection
+      .find({ buyerEmail: emails }, { projection: { _id: 1 }, session })
+      .toArray();
+    const offerIds = { $in: offers.map((o) => o._id) };
+    await artCollection.updateMany(
+      { saleOfferId: offerIds, saleStatus: "reserved" },
+      {
+        $unset: { saleStatus: "", saleOfferId: "" },
+        $set: { updatedAt: new Date() },
+      },
+      opts
+    );
+    summary.offers = (
+      await offersCollection.deleteMany({ _id: offerIds }, opts)
+    ).deletedCount;
+
+    summary.galleries = (
+      await galleriesCollection.deleteMany({ userEmail: emails }, opts)
+    ).deletedCount;
+
+    const result = await usersCollection.deleteOne({ _id: user._id }, opts);
+    return { ...result, removed: summary };
+  });
+
+  await removeUnusedUploads(images);
+  return result;
+}
+
+// API: Delete Own Account
+app.delete("/users/me", verifyToken, async (req, res) => {
+  try {
+    const { usersCollection } = await connectDB();
+    const user = await usersCollection.findOne({ _id: req.user._id });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const result = await deleteUserAccount(user);
     return res.json(result);
   } catch (err) {
-    console.error("PATCH /users/:id/role error", err);
+    console.error("DELETE /users/me error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
 // API: Delete User
-app.delete("/users/:id", async (req, res) => {
+app.delete("/users/:id", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { usersCollection } = await connectDB();
     const { id } = req.params;
     if (!ObjectId.isValid(id))
       return res.status(400).json({ error: "Invalid ID" });
 
-    const result = await usersCollection.deleteOne({ _id: new ObjectId(id) });
+    const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const result = await deleteUserAccount(user);
     return res.json(result);
   } catch (err) {
     console.error("DELETE /users/:id error", err);
@@ -246,41 +1363,386 @@ app.delete("/users/:id", async (req, res) => {
   }
 });
 
+// API: Export Own Data (privacy requests)
+app.get("/users/me/export", verifyToken, async (req, res) => {
+  try {
+    const {
+      usersCollection,
+      artCollection,
+      favoritesCollection,
+      likesCollection,
+      commentsCollection,
+      reportsCollection,
+      followsCollection,
+      galleriesCollection,
+      notificationsCollection,
+      offersCollection,
+      uploadsCollection,
+      artRevisionsCollection,
+    } = await connectDB();
+    const user = await usersCollection.findOne({ _id: req.user._id });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    const emails = { $in: userEmails(user) };
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: user,
+      arts: await artCollection.find({ userEmail: emails }).toArray(),
+      favorites: await favoritesCollection
+        .find({ userEmail: emails })
+        .toArray(),
+      likes: await likesCollection.find({ userEmail: emails }).toArray(),
+      comments: await commentsCollection.find({ userEmail: emails }).toArray(),
+      reportsFiled: await reportsCollection
+        .find({ reporterEmail: emails })
+        .toArray(),
+      following: await followsCollection
+        .find({ followerEmail: emails })
+        .toArray(),
+      followers: await followsCollection
+        .find({ followingEmail: emails })
+        .toArray(),
+      galleries: await galleriesCollection
+        .find({ userEmail: emails })
+        .toArray(),
+      notifications: await notificationsCollection
+        .find({ recipientEmail: emails })
+        .toArray(),
+      offers: await offersCollection
+        .find({ $or: [{ buyerEmail: emails }, { artistEmail: emails }] })
+        .toArray(),
+      uploads: await uploadsCollection
+        .find({ uploaderEmail: emails })
+        .toArray(),
+      revisionsAuthored: await artRevisionsCollection
+        .find({ editorEmail: emails })
+        .toArray(),
+    };
+
+    const day = archive.exportedAt.toISOString().slice(0, 10);
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="artify-export-${day}.json"`
+    );
+    return res.json(archive);
+  } catch (err) {
+    console.error("GET /users/me/export error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// --- Artist Profiles ---
+
+const profileSchema = {
+  name: { type: "string", minLength: 1, maxLength: 80 },
+  photoURL: {
+    type: "string",
+    format: "url",
+    maxLength: 2048,
+    allowEmpty: true,
+  },
+  handle: {
+    type: "string",
+    pattern: /^@?[A-Za-z0-9_]{3,30}$/,
+    patternMessage: "must be 3-30 letters, numbers or underscores",
+  },
+  bio: { type: "string", maxLength: 500, allowEmpty: true },
+  location: { type: "string", maxLength: 100, allowEmpty: true },
+  website: { type: "string", format: "url", maxLength: 2048, allowEmpty: true },
+  socialLinks: {
+    type: "array",
+    items: { type: "string", format: "url", maxLength: 2048 },
+    maxItems: 8,
+  },
+  banner: { type: "string", format: "url", maxLength: 2048, allowEmpty: true },
+};
+
+const PROFILE_FIELDS = [
+  "handle",
+  "bio",
+  "location",
+  "website",
+  "socialLinks",
+  "banner",
+];
+
+// Arts, comments, likes and collections keep a copy of the author's name and
+// photo for search and cards; refresh them whenever the profile changes
+async function syncArtistProfile(user) {
+  const emails = { $in: userEmails(user) };
+  const name = user.name || user.displayName || "";
+  const photo = user.photoURL || "";
+  await artCollection.updateMany(
+    { userEmail: emails },
+    { $set: { userName: name, artistPhoto: photo } }
+  );
+  await commentsCollection.updateMany(
+    { userEmail: emails },
+    { $set: { userName: name, userPhoto: photo } }
+  );
+  await likesCollection.updateMany(
+    { userEmail: emails },
+    { $set: { userName: name } }
+  );
+  await galleriesCollection.updateMany(
+    { userEmail: emails },
+    { $set: { userName: name } }
+  );
+}
+
+// API: Get My Profile
+app.get("/users/me", verifyToken, async (req, res) => {
+  try {
+    const { usersCollection } = await connectDB();
+    const user = await usersCollection.findOne({ _id: req.user._id });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    return res.json(user);
+  } catch (err) {
+    console.error("GET /users/me error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Update My Profile (name, photo, handle, bio, links, banner)
+app.patch(
+  "/users/me",
+  verifyToken,
+  validateBody(profileSchema),
+  async (req, res) => {
+    try {
+      const { usersCollection } = await connectDB();
+      const update = { ...req.body };
+      if (!Object.keys(update).length)
+        return res.status(400).json({ error: "No fields to update" });
+      if (update.handle !== undefined)
+        update.handle = update.handle.replace(/^@/, "").toLowerCase();
+      // from now on POST /users (login sync) leaves name and photo alone
+      update.profileUpdatedAt = new Date();
+
+      let user;
+      try {
+        user = await usersCollection.findOneAndUpdate(
+          { _id: req.user._id },
+          { $set: update },
+          { returnDocument: "after" }
+        );
+      } catch (e) {
+        if (e.code === 11000)
+          return res.status(409).json({ error: "Handle is already taken" });
+        throw e;
+      }
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      if (update.name !== undefined || update.photoURL !== undefined)
+        await syncArtistProfile(user);
+      return res.json(user);
+    } catch (err) {
+      console.error("PATCH /users/me error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // --- Admin Dashboard Stats ---
 
-// API: Get Admin Stats
-app.get("/admin/stats", async (req, res) => {
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATS_GRANULARITIES = ["day", "week", "month"];
+const STATS_MAX_BUCKETS = 400;
+
+function isValidTimeZone(tz) {
   try {
-    const { artCollection, usersCollection, reportsCollection } =
-      await connectDB();
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Calendar date ({ y, m, d }) and UTC offset of an instant in a timezone
+function zonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const y = get("year");
+  const m = get("month");
+  const d = get("day");
+  const asUTC = Date.UTC(
+    y,
+    m - 1,
+    d,
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+  return { y, m, d, offset: asUTC - Math.floor(date.getTime() / 1000) * 1000 };
+}
+
+// UTC instant of local midnight on a calendar day in tz (DST-safe)
+function zonedDayStart(day, tz) {
+  const guess = Date.UTC(day.y, day.m - 1, day.d);
+  const offset = zonedParts(new Date(guess), tz).offset;
+  const corrected = zonedParts(new Date(guess - offset), tz).offset;
+  return new Date(guess - corrected);
+}
+
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) return null;
+  const [y, m, d] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(y, m - 1, d));
+  if (check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) return null;
+  return { y, m, d };
+}
+
+function shiftDay(day, days) {
+  const t = new Date(Date.UTC(day.y, day.m - 1, day.d) + days * DAY_MS);
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate() };
+}
+
+// Bucket labels (start date of each day/week/month) covering from..to
+function bucketLabels(from, to, granularity) {
+  let cur = Date.UTC(from.y, from.m - 1, from.d);
+  const end = Date.UTC(to.y, to.m - 1, to.d);
+  if (granularity === "week") {
+    cur -= ((new Date(cur).getUTCDay() + 6) % 7) * DAY_MS; // weeks start Monday
+  } else if (granularity === "month") {
+    cur = Date.UTC(from.y, from.m - 1, 1);
+  }
+
+  const labels = [];
+  while (cur <= end) {
+    labels.push(new Date(cur).toISOString().slice(0, 10));
+    if (granularity === "month") {
+      const d = new Date(cur);
+      cur = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+    } else {
+      cur += (granularity === "week" ? 7 : 1) * DAY_MS;
+    }
+  }
+  return labels;
+}
+
+// Reads from/to/tz/granularity (defaults: last 30 days, UTC, day); returns { error } on bad input
+function parseStatsRange(query) {
+  const tz = query.tz || "UTC";
+  if (!isValidTimeZone(tz)) return { error: "Invalid tz" };
+
+  const granularity = query.granularity || "day";
+  if (!STATS_GRANULARITIES.includes(granularity))
+    return { error: "Invalid granularity" };
+
+  const today = zonedParts(new Date(), tz);
+  const to = query.to ? parseDay(query.to) : today;
+  if (!to) return { error: "Invalid to date, expected YYYY-MM-DD" };
+  const from = query.from ? parseDay(query.from) : shiftDay(to, -29);
+  if (!from) return { error: "Invalid from date, expected YYYY-MM-DD" };
+  if (Date.UTC(from.y, from.m - 1, from.d) > Date.UTC(to.y, to.m - 1, to.d))
+    return { error: "from must not be after to" };
+
+  const labels = bucketLabels(from, to, granularity);
+  if (labels.length > STATS_MAX_BUCKETS)
+    return { error: "Range too large for this granularity" };
+
+  return {
+    tz,
+    granularity,
+    from: zonedDayStart(from, tz),
+    to: zonedDayStart(shiftDay(to, 1), tz), // exclusive
+    todayStart: zonedDayStart(today, tz),
+    labels,
+  };
+}
+
+// Counts documents per bucket of `field`, zero-filled across the range
+async function timeSeries(collection, range, match = {}, field = "createdAt") {
+  const rows = await collection
+    .aggregate([
+      { $match: { ...match, [field]: { $gte: range.from, $lt: range.to } } },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              timezone: range.tz,
+              date: {
+                $dateTrunc: {
+                  date: `$${field}`,
+                  unit: range.granularity,
+                  timezone: range.tz,
+                  startOfWeek: "monday",
+                },
+              },
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+  const counts = new Map(rows.map((r) => [r._id, r.count]));
+  return range.labels.map((name) => ({ name, count: counts.get(name) || 0 }));
+}
+
+// API: Get Admin Stats (supports from, to, tz, granularity)
+app.get("/admin/stats", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const {
+      artCollection,
+      usersCollection,
+      reportsCollection,
+      likesCollection,
+    } = await connectDB();
+
+    const range = parseStatsRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const inRange = { $gte: range.from, $lt: range.to };
 
     const totalUsers = await usersCollection.countDocuments();
     const totalPublicArts = await artCollection.countDocuments({
       visibility: "Public",
+      deletedAt: null,
     });
     const totalPrivateArts = await artCollection.countDocuments({
       visibility: "Private",
+      deletedAt: null,
     });
 
     let totalReportedArts = 0;
     try {
       const distinctReportedArts = await reportsCollection.distinct("artId");
-      totalReportedArts = distinctReportedArts.length;
+      // trashed arts are left out, like everywhere else in the stats
+      totalReportedArts = await artCollection.countDocuments({
+        _id: { $in: distinctReportedArts },
+        deletedAt: null,
+      });
     } catch (e) {
       // Fallback if distinct fails for some reason (though strictly false should fix it)
       totalReportedArts = await reportsCollection.countDocuments();
     }
 
-    // Today's Arts
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Today's Arts (midnight in the requested timezone)
     const todayArts = await artCollection.countDocuments({
-      createdAt: { $gte: today },
+      createdAt: { $gte: range.todayStart },
+      deletedAt: null,
+    });
+
+    // Users whose latest login falls inside the range
+    const activeUsers = await usersCollection.countDocuments({
+      lastLogin: inRange,
     });
 
     // Most Active Contributors (keeping this as it is useful)
     const topContributors = await artCollection
       .aggregate([
+        { $match: { deletedAt: null } },
         {
           $group: {
             _id: "$userEmail",
@@ -293,43 +1755,40 @@ app.get("/admin/stats", async (req, res) => {
       ])
       .toArray();
 
-    // Arts Growth (Daily)
-    const artGrowth = await artCollection
-      .aggregate([
-        {
-          $group: {
-            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
-            count: { $sum: 1 },
-          },
-        },
-        { $sort: { _id: 1 } }, // Oldest first
-        { $project: { _id: 0, name: "$_id", count: 1 } },
-      ])
-      .toArray();
-
-    // User Growth (Daily)
-    const userGrowth = await usersCollection
+    // Arts per category created in the range
+    const categoryBreakdown = await artCollection
       .aggregate([
+        { $match: { createdAt: inRange, deletedAt: null } },
         {
           $group: {
-            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+            _id: { $ifNull: ["$category", "Uncategorized"] },
             count: { $sum: 1 },
           },
         },
-        { $sort: { _id: 1 } },
+        { $sort: { count: -1 } },
         { $project: { _id: 0, name: "$_id", count: 1 } },
       ])
       .toArray();
 
     return res.json({
+      range: {
+        from: range.from,
+        to: range.to,
+        tz: range.tz,
+        granularity: range.granularity,
+      },
       totalUsers,
       totalPublicArts,
       totalPrivateArts,
       totalReportedArts,
       todayArts,
+      activeUsers,
       topContributors,
-      artGrowth,
-      userGrowth,
+      artGrowth: await timeSeries(artCollection, range, { deletedAt: null }),
+      userGrowth: await timeSeries(usersCollection, range),
+      likeGrowth: await timeSeries(likesCollection, range),
+      reportGrowth: await timeSeries(reportsCollection, range),
+      categoryBreakdown,
     });
   } catch (err) {
     console.error("GET /admin/stats error", err);
@@ -339,48 +1798,443 @@ app.get("/admin/stats", async (req, res) => {
 
 // --- Report Management ---
 
+const REPORT_TRANSITIONS = {
+  pending: ["reviewing"],
+  reviewing: ["resolved", "dismissed"],
+  resolved: [],
+  dismissed: [],
+};
+const REPORT_ACTIONS = [
+  "none",
+  "hide_art",
+  "delete_art",
+  "warn_artist",
+  "delete_comment",
+];
+const REPORT_TARGET_TYPES = ["art", "comment"];
+
+const reportSchema = {
+  targetType: { type: "string", enum: REPORT_TARGET_TYPES },
+  artId: { type: "objectId" },
+  commentId: { type: "objectId" },
+  artTitle: { type: "string", maxLength: 200, allowEmpty: true },
+  // optional; the reporter is always the signed-in user
+  reporterEmail: { type: "string", format: "email", maxLength: 254 },
+  reason: { type: "string", required: true, maxLength: 200 },
+  details: { type: "string", maxLength: 2000, allowEmpty: true },
+};
+
+const reportUpdateSchema = {
+  status: {
+    type: "string",
+    required: true,
+    enum: Object.keys(REPORT_TRANSITIONS),
+  },
+  action: { type: "string", enum: REPORT_ACTIONS },
+  note: { type: "string", maxLength: 1000, allowEmpty: true },
+};
+
 // API: Create Report
-app.post("/reports", async (req, res) => {
-  try {
-    const { reportsCollection } = await connectDB();
-    const report = req.body;
-    // Expect: { artId, artTitle, reporterEmail, reason }
-    if (!report.artId || !report.reporterEmail || !report.reason) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
+app.post(
+  "/reports",
+  verifyToken,
+  validateBody(reportSchema),
+  async (req, res) => {
+    try {
+      const { reportsCollection, commentsCollection } = await connectDB();
+      const report = req.body;
+      // Expect: { artId, artTitle, reason }
+      // or for comments: { targetType: "comment", commentId, reason }
+      if (
+        report.reporterEmail &&
+        String(report.reporterEmail).toLowerCase() !== req.user.email
+      )
+        return res.status(403).json({ error: "Forbidden access" });
 
-    const doc = {
-      ...report,
-      artId: new ObjectId(report.artId), // Ensure stored as ObjectId for lookups
-      createdAt: new Date(),
-      status: "pending",
-    };
+      const targetType = report.targetType || "art";
+      const requiredId = targetType === "comment" ? "commentId" : "artId";
+      if (!report[requiredId]) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: [{ field: requiredId, message: "is required" }],
+        });
+      }
 
-    const result = await reportsCollection.insertOne(doc);
-    return res.status(201).json(result);
-  } catch (err) {
-    console.error("POST /reports error", err);
-    return res.status(500).json({ error: "Internal server error" });
+      let artId = report.artId;
+      let commentId;
+      let commentAuthorEmail;
+      if (targetType === "comment") {
+        const comment = await commentsCollection.findOne(
+          { _id: new ObjectId(report.commentId) },
+          { projection: { artId: 1, userEmail: 1 } }
+        );
+        if (!comment)
+          return res.status(404).json({ error: "Comment not found" });
+        commentId = comment._id;
+        artId = comment.artId; // keep artId so reports still group by art
+        // moderation acts on the comment's author, not the art's artist
+        commentAuthorEmail = String(comment.userEmail).toLowerCase();
+      }
+
+      const doc = {
+        ...report,
+        reporterEmail: req.user.email,
+        targetType,
+        artId: new ObjectId(artId), // Ensure stored as ObjectId for lookups
+        createdAt: new Date(),
+        status: "pending",
+      };
+      if (commentId) Object.assign(doc, { commentId, commentAuthorEmail });
+
+      let result;
+      try {
+        result = await reportsCollection.insertOne(doc);
+      } catch (e) {
+        // the unique indexes enforce one report per reporter per target
+        if (e.code !== 11000) throw e;
+        return res.status(409).json({
+          error:
+            targetType === "comment"
+              ? "You have already reported this comment"
+              : "You have already reported this artwork",
+        });
+      }
+      publishEvent(
+        "new_report",
+        reportEventData({ ...doc, _id: result.insertedId })
+      );
+      return res.status(201).json(result);
+    } catch (err) {
+      console.error("POST /reports error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
+
+// Builds the $match for admin report lists (status accepts a comma-separated list)
+function buildReportMatch(params) {
+  const match = {};
+  if (params.status) {
+    const statuses = String(params.status)
+      .split(",")
+      .map((st) => st.trim().toLowerCase())
+      .filter((st) => Object.hasOwn(REPORT_TRANSITIONS, st));
+    if (!statuses.length) return { error: "Invalid status" };
+    match.status = { $in: statuses };
+  }
+  return { match };
+}
 
-// API: Get All Reports
-app.get("/admin/reports", async (req, res) => {
+// API: Get All Reports (filter by status, optionally grouped by art)
+app.get("/admin/reports", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { reportsCollection } = await connectDB();
-    const reports = await reportsCollection
-      .find()
-      .sort({ createdAt: -1 })
+    const { groupBy } = req.query;
+    const { page, limit, skip } = parsePagination(req.query, 20);
+
+    const { match, error } = buildReportMatch(req.query);
+    if (error) return res.status(400).json({ error });
+
+    if (groupBy === "art") {
+      if (req.query.cursor !== undefined)
+        return res
+          .status(400)
+          .json({ error: "Cursor pagination is not supported with groupBy" });
+      const [result] = await reportsCollection
+        .aggregate([
+          { $match: match },
+          { $sort: { createdAt: -1 } },
+          {
+            $group: {
+              _id: "$artId",
+              artTitle: { $first: "$artTitle" },
+              reportCount: { $sum: 1 },
+              reasons: { $addToSet: "$reason" },
+              statuses: { $addToSet: "$status" },
+              lastReportedAt: { $first: "$createdAt" },
+              reportIds: { $push: "$_id" },
+            },
+          },
+          { $sort: { reportCount: -1, lastReportedAt: -1 } },
+          {
+            $facet: {
+              total: [{ $count: "count" }],
+              data: [
+                { $skip: skip },
+                { $limit: limit },
+                {
+                  $project: {
+                    _id: 0,
+                    artId: "$_id",
+                    artTitle: 1,
+                    reportCount: 1,
+                    reasons: 1,
+                    statuses: 1,
+                    lastReportedAt: 1,
+                    reportIds: 1,
+                  },
+                },
+              ],
+            },
+          },
+        ])
+        .toArray();
+      return res.json({
+        total: result.total[0]?.count || 0,
+        page,
+        limit,
+        data: result.data,
+      });
+    }
+
+    const sort = { createdAt: -1, _id: -1 };
+    const pager = parseCursorParams(req.query, sort);
+    if (pager.error) return res.status(400).json({ error: pager.error });
+    if (pager.enabled) {
+      const items = await reportsCollection
+        .find(withCursorMatch(match, pager.match))
+        .sort(sort)
+        .limit(limit + 1)
+        .toArray();
+      return res.json(buildCursorPage(items, limit, sort));
+    }
+
+    if (!wantsPagination(req.query))
+      return res.json(await reportsCollection.find(match).sort(sort).toArray());
+
+    const data = await reportsCollection
+      .find(match)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
       .toArray();
-    return res.json(reports);
+    const total = await reportsCollection.countDocuments(match);
+    return res.json({ total, page, limit, data });
   } catch (err) {
     console.error("GET /admin/reports error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// API: Move Report Through Moderation (pending -> reviewing -> resolved/dismissed)
+app.patch(
+  "/admin/reports/:id",
+  verifyToken,
+  verifyAdmin,
+  validateBody(reportUpdateSchema),
+  async (req, res) => {
+    try {
+      const {
+        reportsCollection,
+        artCollection,
+        usersCollection,
+        commentsCollection,
+      } = await connectDB();
+      const { id } = req.params;
+      if (!ObjectId.isValid(id))
+        return res.status(400).json({ error: "Invalid ID" });
+
+      const { status, action = "none", note = "" } = req.body;
+      if (action !== "none" && status !== "resolved")
+        return res
+          .status(400)
+          .json({ error: "Actions can only be taken when resolving a report" });
+
+      const report = await reportsCollection.findOne({ _id: new ObjectId(id) });
+      if (!report) return res.status(404).json({ error: "Report not found" });
+
+      const current = report.status || "pending";
+      if (
+        !Object.hasOwn(REPORT_TRANSITIONS, current) ||
+        !REPORT_TRANSITIONS[current].includes(status)
+      ) {
+        return res.status(409).json({
+          error: `Cannot move report from '${current}' to '${status}'`,
+        });
+      }
+
+      const isCommentReport = report.targetType === "comment";
+      if (action === "delete_comment" && !isCommentReport)
+        return res
+          .status(400)
+          .json({ error: "delete_comment only applies to comment reports" });
+      if ((action === "hide_art" || action === "delete_art") && isCommentReport)
+        return res
+          .status(400)
+          .json({ error: `${action} does not apply to comment reports` });
+
+      // the person the action is aimed at: the comment's author for comment
+      // reports, the artist otherwise
+      let art = null;
+      let offenderEmail = null;
+      if (action !== "none" && action !== "delete_comment") {
+        art = await artCollection.findOne(
+          { _id: report.artId },
+          { projection: { userEmail: 1, title: 1 } }
+        );
+        if (isCommentReport) {
+          offenderEmail = report.commentAuthorEmail;
+          if (!offenderEmail) {
+            // reports filed before the author was kept on the report
+            const comment = await commentsCollection.findOne(
+              { _id: report.commentId },
+              { projection: { userEmail: 1 } }
+            );
+            offenderEmail = comment?.userEmail;
+          }
+          if (!offenderEmail)
+            return res.status(409).json({ error: "Comment no longer exists" });
+          offenderEmail = String(offenderEmail).toLowerCase();
+        } else {
+          if (!art)
+            return res.status(409).json({ error: "Artwork no longer exists" });
+          offenderEmail = art.userEmail;
+        }
+      }
+
+      const now = new Date();
+      const entry = {
+        from: current,
+        to: status,
+        action,
+        note,
+        adminEmail: req.user.email,
+        adminName: req.user.name,
+        createdAt: now,
+      };
+      const $set = { status, updatedAt: now };
+      if (status === "resolved" || status === "dismissed") {
+        Object.assign($set, {
+          resolution: action,
+          resolvedBy: req.user.email,
+          resolvedAt: now,
+        });
+      }
+
+      const updated = await withTransaction(async (session) => {
+        const result = await reportsCollection.findOneAndUpdate(
+          { _id: report._id, status: report.status ?? null },
+          { $set, $push: { history: entry } },
+          { returnDocument: "after", session }
+        );
+        // someone else moved the report first
+        if (!result) return null;
+
+        if (action === "hide_art") {
+          // hiddenReportId keeps the owner from making it public again
+          const hidden = {
+            visibility: "Private",
+            hiddenReportId: report._id,
+            updatedAt: now,
+          };
+          const before = await artCollection.findOneAndUpdate(
+            { _id: art._id },
+            { $set: hidden },
+            { returnDocument: "before", session }
+          );
+          if (before) {
+            await recordArtRevision(before, hidden, req.user, session, {
+              reportId: report._id,
+            });
+          }
+        } else if (action === "delete_art") {
+          // into the trash like any other delete; only admins can restore it
+          await artCollection.updateOne(
+            { _id: art._id, deletedAt: null },
+            {
+              $set: {
+                deletedAt: now,
+                deletedBy: req.user.email,
+                deletedReportId: report._id,
+              },
+            },
+            { session }
+          );
+        } else if (action === "delete_comment") {
+          await commentsCollection.deleteMany(
+            {
+              $or: [{ _id: report.commentId }, { parentId: report.commentId }],
+            },
+            { session }
+          );
+        } else if (action === "warn_artist") {
+          await usersCollection.updateOne(
+            { email: offenderEmail },
+            {
+              $push: {
+                warnings: {
+                  reportId: report._id,
+                  artId: report.artId,
+                  artTitle: art?.title || report.artTitle || "",
+                  ...(isCommentReport && { commentId: report.commentId }),
+                  note,
+                  adminEmail: req.user.email,
+                  createdAt: now,
+                },
+              },
+            },
+            { session }
+          );
+        }
+        return result;
+      });
+
+      if (!updated)
+        return res
+          .status(409)
+          .json({ error: "Report was updated by someone else, please retry" });
+
+      const title = art?.title || report.artTitle || "an artwork";
+      const notes = [];
+      if (status === "resolved" || status === "dismissed") {
+        notes.push({
+          recipientEmail: report.reporterEmail,
+          type: "report_update",
+          actorEmail: req.user.email,
+          reportId: report._id,
+          artId: report.artId,
+          artTitle: title,
+          status,
+          action,
+          message:
+            status === "dismissed"
+              ? `Your report about "${title}" was reviewed and dismissed`
+              : action === "none"
+                ? `Your report about "${title}" was resolved`
+                : `Action was taken on your report about "${title}"`,
+        });
+      }
+      if (offenderEmail) {
+        const outcomes = {
+          hide_art: `"${title}" was made private after a report review`,
+          delete_art: `"${title}" was removed after a report review`,
+          warn_artist: isCommentReport
+            ? `You received a warning about your comment on "${title}"`
+            : `You received a warning about "${title}"`,
+        };
+        notes.push({
+          recipientEmail: offenderEmail,
+          type: "moderation",
+          actorEmail: req.user.email,
+          reportId: report._id,
+          artId: report.artId,
+          artTitle: title,
+          action,
+          note,
+          message: outcomes[action],
+        });
+      }
+      await notify(notes);
+      return res.json(updated);
+    } catch (err) {
+      console.error("PATCH /admin/reports/:id error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // API: Resolve/Ignore Report
-app.delete("/admin/reports/:id", async (req, res) => {
+app.delete("/admin/reports/:id", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { reportsCollection } = await connectDB();
     const { id } = req.params;
@@ -397,429 +2251,3634 @@ app.delete("/admin/reports/:id", async (req, res) => {
 
 // --- Arts Management (Admin) ---
 
+const ADMIN_ART_SORTS = {
+  recent: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  likes: { likes: -1, _id: -1 },
+  title: { title: 1, _id: 1 },
+  updated: { updatedAt: -1, _id: -1 },
+  reports: { reportCount: -1, createdAt: -1, _id: -1 },
+};
+
+// Builds the $match for admin art lists from query params; returns { error } on bad input
+async function buildAdminArtMatch(params) {
+  const { filter, artistEmail, category, from, to } = params;
+  // trashed arts only show up under filter=trash
+  const match = { deletedAt: filter === "trash" ? { $ne: null } : null };
+
+  if (filter === "public") match.visibility = { $regex: /^public$/i };
+  else if (filter === "private") match.visibility = { $regex: /^private$/i };
+  else if (filter === "featured") match.featured = true;
+  else if (filter === "reported") {
+    const reportedIds = await reportsCollection.distinct("artId", {
+      status: { $in: OPEN_REPORT_STATUSES },
+    });
+    match._id = { $in: reportedIds };
+  } else if (filter && filter !== "all" && filter !== "trash") {
+    return { error: "Invalid filter" };
+  }
+
+  if (artistEmail) match.userEmail = String(artistEmail).toLowerCase();
+  if (category) match.category = category;
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) {
+      const d = new Date(from);
+      if (isNaN(d)) return { error: "Invalid from date" };
+      match.createdAt.$gte = d;
+    }
+    if (to) {
+      const d = new Date(to);
+      if (isNaN(d)) return { error: "Invalid to date" };
+      match.createdAt.$lte = d;
+    }
+  }
+
+  return { match };
+}
+
 // API: Get All Arts (Admin View)
-app.get("/admin/arts", async (req, res) => {
+app.get("/admin/arts", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { artCollection } = await connectDB();
-    const { filter } = req.query; // 'public', 'private', 'reported' implementation depends on join strategies
+    const { sort = "recent" } = req.query;
+    const { page, limit, skip } = parsePagination(req.query, 20);
 
-    // Basic implementation returns all, frontend filters.
-    // Ideally we support server side filter.
+    if (!Object.hasOwn(ADMIN_ART_SORTS, sort))
+      return res.status(400).json({ error: "Invalid sort" });
+    const sortObj = ADMIN_ART_SORTS[sort];
 
-    const result = await artCollection.find().sort({ createdAt: -1 }).toArray();
-    return res.json(result);
+    const { match, error } = await buildAdminArtMatch(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const pager = parseCursorParams(req.query, sortObj);
+    if (pager.error) return res.status(400).json({ error: pager.error });
+    const afterCursor = pager.match ? [{ $match: pager.match }] : [];
+    const window = pager.enabled
+      ? [{ $limit: limit + 1 }]
+      : [{ $skip: skip }, { $limit: limit }];
+
+    // report counts are only needed up front when sorting by them
+    const pipeline =
+      sort === "reports"
+        ? [
+            { $match: match },
+            ...reportCountStages,
+            ...afterCursor,
+            { $sort: sortObj },
+            ...window,
+          ]
+        : [
+            { $match: match },
+            ...afterCursor,
+            { $sort: sortObj },
+            ...window,
+            ...reportCountStages,
+          ];
+
+    const data = await artCollection.aggregate(pipeline).toArray();
+    if (pager.enabled) return res.json(buildCursorPage(data, limit, sortObj));
+    const total = await artCollection.countDocuments(match);
+    return res.json({ total, page, limit, data });
   } catch (err) {
     console.error("GET /admin/arts error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// --- Existing Art Routes (Preserved) ---
-
-// API: Create New Art
-app.post("/arts", async (req, res) => {
-  try {
-    const { artCollection, usersCollection } = await connectDB();
-    const art = req.body || {};
-
-    // accept several possible body keys for email but prefer userEmail
-    const emailFromBody =
-      art.userEmail || art.email || art.artistEmail || art.uemail || "";
+const FEATURED_LIMIT = parseInt(process.env.FEATURED_LIMIT, 10) || 6;
 
-    if (!emailFromBody) {
-      return res
-        .status(400)
-        .json({ error: "userEmail is required in request body" });
-    }
+const featureSchema = {
+  order: { type: "number", min: 0, max: 10000 },
+  startAt: { type: "date", allowEmpty: true },
+  endAt: { type: "date", allowEmpty: true },
+};
 
-    if (!art.title || !art.image || !art.userName) {
-      return res
-        .status(400)
-        .json({ error: "title, image and userName are required" });
-    }
+// Live = featured, inside its schedule window (missing dates mean open-ended)
+function featuredWindowMatch(now) {
+  return {
+    featured: true,
+    $and: [
+      {
+        $or: [{ featuredStartAt: null }, { featuredStartAt: { $lte: now } }],
+      },
+      { $or: [{ featuredEndAt: null }, { featuredEndAt: { $gt: now } }] },
+    ],
+  };
+}
 
-    const price =
-      art.price === "" || art.price === null || art.price === undefined
-        ? ""
-        : Number(art.price);
+// API: Feature Art (order and optional schedule)
+app.put(
+  "/admin/arts/:id/feature",
+  verifyToken,
+  verifyAdmin,
+  validateBody(featureSchema),
+  async (req, res) => {
+    try {
+      const { artCollection } = await connectDB();
+      const { id } = req.params;
+      if (!ObjectId.isValid(id))
+        return res.status(400).json({ error: "Invalid id" });
 
-    const doc = {
-      image: art.image,
-      title: art.title,
-      category: art.category || "Uncategorized",
-      medium: art.medium || "",
-      description: art.description || "",
-      dimensions: art.dimensions || "",
-      price: price,
-      visibility: normalizeVisibility(art.visibility),
-      featured: !!art.featured,
-      userName: art.userName,
-      userEmail: String(emailFromBody).toLowerCase(),
-      artistEmail: art.artistEmail || String(emailFromBody).toLowerCase(),
-      artistPhoto: art.artistPhoto || art.artistPhotoUrl || "",
-      likes: 0,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
+      const { order = 0, startAt, endAt } = req.body;
+      if (startAt && endAt && endAt <= startAt)
+        return res.status(400).json({ error: "endAt must be after startAt" });
 
-    const result = await artCollection.insertOne(doc);
-    doc._id = result.insertedId;
+      const art = await artCollection.findOne(
+        { _id: new ObjectId(id), deletedAt: null },
+        { projection: { visibility: 1 } }
+      );
+      if (!art) return res.status(404).json({ error: "Artwork not found" });
+      if (normalizeVisibility(art.visibility) !== "Public")
+        return res
+          .status(400)
+          .json({ error: "Only public artworks can be featured" });
 
-    // Optional: Update user in usersCollection to ensure they exist/refresh data
-    try {
-      await usersCollection.updateOne(
-        { email: doc.userEmail },
+      const updated = await artCollection.findOneAndUpdate(
+        { _id: art._id },
         {
           $set: {
-            displayName: doc.userName,
-            photoURL: doc.artistPhoto,
+            featured: true,
+            featuredOrder: order,
+            featuredStartAt: startAt || null,
+            featuredEndAt: endAt || null,
+            featuredBy: req.user.email,
+            featuredAt: new Date(),
           },
-          $setOnInsert: { role: "User", createdAt: new Date() },
         },
-        { upsert: true }
+        { returnDocument: "after" }
       );
-    } catch (e) {
-      // silent fail on user sync
-      console.warn("User sync failed on POST /arts", e);
+      return res.json(updated);
+    } catch (err) {
+      console.error("PUT /admin/arts/:id/feature error", err);
+      return res.status(500).json({ error: "Internal server error" });
     }
+  }
+);
 
-    return res.status(201).json(doc);
-  } catch (err) {
-    console.error("POST /arts error", err);
-    return res.status(500).json({ error: "Internal server error" });
+// API: Unfeature Art
+app.delete(
+  "/admin/arts/:id/feature",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    try {
+      const { artCollection } = await connectDB();
+      const { id } = req.params;
+      if (!ObjectId.isValid(id))
+        return res.status(400).json({ error: "Invalid id" });
+
+      const result = await artCollection.updateOne(
+        { _id: new ObjectId(id) },
+        {
+          $set: { featured: false },
+          $unset: {
+            featuredOrder: "",
+            featuredStartAt: "",
+            featuredEndAt: "",
+            featuredBy: "",
+            featuredAt: "",
+          },
+        }
+      );
+      if (result.matchedCount === 0)
+        return res.status(404).json({ error: "Artwork not found" });
+      return res.json(result);
+    } catch (err) {
+      console.error("DELETE /admin/arts/:id/feature error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
-// API: Get Featured Arts
-app.get("/arts/featured", async (req, res) => {
+// API: Get Featured Lineup (Admin, includes scheduled/expired/excluded)
+app.get("/admin/featured", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { artCollection } = await connectDB();
-    const results = await artCollection
-      .find({
-        visibility: { $regex: /^public$/i },
-        featured: true,
-      })
-      .sort({ createdAt: -1 })
-      .limit(6)
+    const now = new Date();
+
+    const arts = await artCollection
+      .aggregate([
+        { $match: { featured: true, deletedAt: null } },
+        { $sort: { featuredOrder: 1, featuredAt: -1, _id: -1 } },
+        ...reportCountStages,
+      ])
       .toArray();
-    return res.json(results);
+
+    const data = arts.map((a) => {
+      let featuredStatus = "active";
+      if (normalizeVisibility(a.visibility) !== "Public" || a.reportCount > 0)
+        featuredStatus = "excluded";
+      else if (a.featuredStartAt && a.featuredStartAt > now)
+        featuredStatus = "scheduled";
+      else if (a.featuredEndAt && a.featuredEndAt <= now)
+        featuredStatus = "expired";
+      return { ...a, featuredStatus };
+    });
+    return res.json(data);
+  } catch (err) {
+    console.error("GET /admin/featured error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// --- Admin Exports ---
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+
+// Columns per export; `stages` are extra pipeline stages a column needs
+const EXPORT_TYPES = {
+  users: {
+    columns: [
+      "_id",
+      "name",
+      "email",
+      "role",
+      "createdAt",
+      "lastLogin",
+      "totalArts",
+      "totalLikes",
+      "reportsReceived",
+      "reportsFiled",
+    ],
+    defaults: ["_id", "name", "email", "role", "createdAt", "lastLogin"],
+    computed: {
+      totalArts: userStatsStages,
+      totalLikes: userStatsStages,
+      reportsReceived: userStatsStages,
+      reportsFiled: userStatsStages,
+    },
+    sort: { createdAt: -1, _id: -1 },
+  },
+  arts: {
+    columns: [
+      "_id",
+      "title",
+      "userName",
+      "userEmail",
+      "category",
+      "medium",
+      "price",
+      "visibility",
+      "featured",
+      "likes",
+      "createdAt",
+      "updatedAt",
+      "reportCount",
+    ],
+    defaults: [
+      "_id",
+      "title",
+      "userName",
+      "userEmail",
+      "category",
+      "visibility",
+      "likes",
+      "createdAt",
+    ],
+    computed: { reportCount: reportCountStages },
+    sort: { createdAt: -1, _id: -1 },
+  },
+  reports: {
+    columns: [
+      "_id",
+      "targetType",
+      "artId",
+      "artTitle",
+      "commentId",
+      "reporterEmail",
+      "reason",
+      "details",
+      "status",
+      "resolution",
+      "resolvedBy",
+      "createdAt",
+      "resolvedAt",
+    ],
+    defaults: [
+      "_id",
+      "artId",
+      "artTitle",
+      "reporterEmail",
+      "reason",
+      "status",
+      "createdAt",
+    ],
+    computed: {},
+    sort: { createdAt: -1, _id: -1 },
+  },
+};
+
+function formatExportValue(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof ObjectId) return value.toHexString();
+  return value;
+}
+
+function toCsvCell(value) {
+  let str = String(formatExportValue(value));
+  // keep spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Streams a Mongo cursor as CSV or NDJSON, respecting backpressure
+async function streamExport(req, res, { cursor, columns, format, filename }) {
+  let aborted = false;
+  req.on("close", () => {
+    aborted = true;
+    cursor.close().catch(() => {});
+  });
+
+  res.status(200);
+  res.set(
+    "Content-Type",
+    format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson"
+  );
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${format}"`
+  );
+
+  const write = async (chunk) => {
+    if (!res.write(chunk))
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+  };
+
+  if (format === "csv") await write(columns.join(",") + "\r\n");
+  for await (const doc of cursor) {
+    if (aborted) break;
+    if (format === "csv") {
+      await write(columns.map((c) => toCsvCell(doc[c])).join(",") + "\r\n");
+    } else {
+      const row = {};
+      for (const c of columns) row[c] = formatExportValue(doc[c]);
+      await write(JSON.stringify(row) + "\n");
+    }
+  }
+  res.end();
+}
+
+// API: Export Users / Arts / Reports (format=csv|ndjson, columns=a,b,c, list filters)
+app.get("/admin/export/:type", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { usersCollection, artCollection, reportsCollection } =
+      await connectDB();
+    const { type } = req.params;
+    const config = EXPORT_TYPES[type];
+    if (!config) return res.status(404).json({ error: "Unknown export" });
+
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS.includes(format))
+      return res.status(400).json({ error: "Invalid format" });
+
+    const columns = req.query.columns
+      ? String(req.query.columns)
+          .split(",")
+          .map((c) => c.trim())
+          .filter(Boolean)
+      : config.defaults;
+    const unknown = columns.filter((c) => !config.columns.includes(c));
+    if (!columns.length || unknown.length)
+      return res
+        .status(400)
+        .json({ error: `Invalid columns: ${unknown.join(", ")}` });
+
+    let collection;
+    let built;
+    if (type === "users") {
+      collection = usersCollection;
+      built = buildUserMatch(req.query);
+    } else if (type === "arts") {
+      collection = artCollection;
+      built = await buildAdminArtMatch(req.query);
+    } else {
+      collection = reportsCollection;
+      built = buildReportMatch(req.query);
+    }
+    if (built.error) return res.status(400).json({ error: built.error });
+
+    const projection = { _id: 1 };
+    for (const c of columns) projection[c] = 1;
+    const pipeline = [{ $match: built.match }, { $sort: config.sort }];
+    const extraStages = new Set(
+      columns.map((c) => config.computed[c]).filter(Boolean)
+    );
+    for (const stages of extraStages) pipeline.push(...stages);
+    pipeline.push({ $project: projection });
+
+    const cursor = collection.aggregate(pipeline);
+    const day = new Date().toISOString().slice(0, 10);
+    await streamExport(req, res, {
+      cursor,
+      columns,
+      format,
+      filename: `artify-${type}-${day}`,
+    });
+  } catch (err) {
+    console.error("GET /admin/export/:type error", err);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// --- Image Uploads ---
+
+const UPLOAD_MAX_BYTES =
+  (parseFloat(process.env.UPLOAD_MAX_MB) || 5) * 1024 * 1024;
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+// uploads younger than this are never removed (the art may not be saved yet)
+const UPLOAD_ORPHAN_GRACE_MS = DAY_MS;
+
+// Accepted types, identified by their leading bytes rather than the client's
+// filename or Content-Type
+const IMAGE_SIGNATURES = [
+  {
+    mime: "image/jpeg",
+    ext: "jpg",
+    test: (b) => b.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  },
+  {
+    mime: "image/png",
+    ext: "png",
+    test: (b) =>
+      b
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mime: "image/gif",
+    ext: "gif",
+    test: (b) => /^GIF8[79]a$/.test(b.toString("latin1", 0, 6)),
+  },
+  {
+    mime: "image/webp",
+    ext: "webp",
+    test: (b) =>
+      b.toString("latin1", 0, 4) === "RIFF" &&
+      b.toString("latin1", 8, 12) === "WEBP",
+  },
+];
+
+function sniffImageType(buffer) {
+  return IMAGE_SIGNATURES.find((sig) => sig.test(buffer)) || null;
+}
+
+// Storage adapters implement save(key, buffer, mime), remove(key) and
+// url(key, req). Swap in another one with app.set("uploadStorage", adapter).
+function createLocalDiskStorage(dir) {
+  return {
+    async save(key, buffer) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      try {
+        await fs.promises.writeFile(path.join(dir, key), buffer, {
+          flag: "wx",
+        });
+      } catch (err) {
+        // same content hash, same bytes: the file is already there
+        if (err.code !== "EEXIST") throw err;
+      }
+    },
+    async remove(key) {
+      await fs.promises.rm(path.join(dir, key), { force: true });
+    },
+    url(key, req) {
+      const base =
+        process.env.UPLOAD_BASE_URL ||
+        `${req.protocol}://${req.get("host")}/uploads`;
+      return `${base.replace(/\/+$/, "")}/${key}`;
+    },
+  };
+}
+
+// Vercel's filesystem is read-only or wiped between invocations, so the disk
+// adapter is refused there until a persistent adapter replaces it
+const localDiskStorage = createLocalDiskStorage(UPLOAD_DIR);
+app.set("uploadStorage", localDiskStorage);
+
+// Files are named by content hash, so they never change
+app.use(
+  "/uploads",
+  express.static(UPLOAD_DIR, {
+    index: false,
+    immutable: true,
+    maxAge: "365d",
+    setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+  })
+);
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+}).single("image");
+
+// Middleware: Parse a single multipart "image" file, answering 413/400 on bad input
+// (any parse failure is the client's body, so it never reaches Express as a 500)
+function receiveImage(req, res, next) {
+  imageUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE")
+      return res.status(413).json({
+        error: `Image must be at most ${UPLOAD_MAX_BYTES / 1024 / 1024} MB`,
+      });
+    if (err instanceof multer.MulterError)
+      return res.status(400).json({ error: err.message });
+    // e.g. busboy's "Unexpected end of form" on a truncated body
+    console.warn("POST /uploads: could not parse multipart body", err);
+    return res.status(400).json({ error: "Malformed multipart body" });
+  });
+}
+
+// Every field that can hold an upload URL: [collection, field]
+const UPLOAD_URL_FIELDS = [
+  ["artCollection", "image"],
+  ["galleriesCollection", "coverImage"],
+  ["usersCollection", "photoURL"],
+  ["usersCollection", "banner"],
+];
+
+async function isUploadInUse(url) {
+  const collections = await connectDB();
+  for (const [name, field] of UPLOAD_URL_FIELDS) {
+    const doc = await collections[name].findOne(
+      { [field]: url },
+      { projection: { _id: 1 } }
+    );
+    if (doc) return true;
+  }
+  return false;
+}
+
+// Best-effort: deletes the uploads behind these URLs once nothing (trashed
+// arts included) uses them any more. Recent uploads are kept, since a
+// duplicate upload may have been handed to someone whose art isn't saved yet.
+async function removeUnusedUploads(urls) {
+  let removed = 0;
+  try {
+    const { uploadsCollection } = await connectDB();
+    const uploads = await uploadsCollection
+      .find({
+        url: { $in: urls.filter(Boolean) },
+        createdAt: { $lt: new Date(Date.now() - UPLOAD_ORPHAN_GRACE_MS) },
+      })
+      .toArray();
+    for (const upload of uploads) {
+      if (await isUploadInUse(upload.url)) continue;
+      await app.get("uploadStorage").remove(upload.key);
+      await uploadsCollection.deleteOne({ _id: upload._id });
+      removed++;
+    }
+  } catch (err) {
+    console.warn("Could not remove unused uploads", err);
+  }
+  return removed;
+}
+
+// Uploads never attached to anything, or left behind when an image changed.
+// The arts lookup only narrows the candidates; removeUnusedUploads checks
+// every field before deleting.
+async function sweepOrphanedUploads() {
+  const { uploadsCollection } = await connectDB();
+  const orphans = await uploadsCollection
+    .aggregate([
+      {
+        $match: {
+          createdAt: { $lt: new Date(Date.now() - UPLOAD_ORPHAN_GRACE_MS) },
+        },
+      },
+      {
+        $lookup: {
+          from: "arts",
+          localField: "url",
+          foreignField: "image",
+          pipeline: [{ $limit: 1 }, { $project: { _id: 1 } }],
+          as: "usedBy",
+        },
+      },
+      { $match: { usedBy: [] } },
+      { $project: { url: 1 } },
+    ])
+    .toArray();
+  if (!orphans.length) return 0;
+  return removeUnusedUploads(orphans.map((u) => u.url));
+}
+
+// Only what the client needs; who uploaded a file first is never revealed
+function uploadResponse(upload, duplicate) {
+  const { url, hash, mime, size } = upload;
+  return { url, hash, mime, size, duplicate };
+}
+
+// API: Upload an Image (multipart field "image"); use the returned url as an art's image
+app.post("/uploads", verifyToken, receiveImage, async (req, res) => {
+  try {
+    const { uploadsCollection } = await connectDB();
+    if (!req.file)
+      return res
+        .status(400)
+        .json({ error: "image file is required (multipart field 'image')" });
+
+    const type = sniffImageType(req.file.buffer);
+    if (!type)
+      return res
+        .status(415)
+        .json({ error: "Only JPEG, PNG, GIF and WebP images are allowed" });
+
+    const hash = crypto
+      .createHash("sha256")
+      .update(req.file.buffer)
+      .digest("hex");
+    const storage = app.get("uploadStorage");
+    if (process.env.VERCEL && storage === localDiskStorage) {
+      console.error(
+        'POST /uploads: no persistent storage configured; set app.set("uploadStorage", adapter)'
+      );
+      return res
+        .status(503)
+        .json({ error: "Upload storage is not configured" });
+    }
+
+    const existing = await uploadsCollection.findOne({ hash });
+    if (existing) return res.json(uploadResponse(existing, true));
+
+    const key = `${hash}.${type.ext}`;
+    await storage.save(key, req.file.buffer, type.mime);
+
+    const doc = {
+      hash,
+      key,
+      url: storage.url(key, req),
+      mime: type.mime,
+      size: req.file.size,
+      uploaderEmail: req.user.email,
+      createdAt: new Date(),
+    };
+    try {
+      await uploadsCollection.insertOne(doc);
+      return res.status(201).json(uploadResponse(doc, false));
+    } catch (e) {
+      // the same file was uploaded concurrently
+      if (e.code !== 11000) throw e;
+      const winner = await uploadsCollection.findOne({ hash });
+      return res.json(uploadResponse(winner, true));
+    }
+  } catch (err) {
+    console.error("POST /uploads error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// --- Existing Art Routes (Preserved) ---
+
+// Override with a comma-separated ART_CATEGORIES env var
+const ART_CATEGORIES = process.env.ART_CATEGORIES
+  ? process.env.ART_CATEGORIES.split(",")
+      .map((c) => c.trim())
+      .filter(Boolean)
+  : [
+      "Painting",
+      "Drawing",
+      "Illustration",
+      "Digital Art",
+      "Photography",
+      "Sculpture",
+      "Printmaking",
+      "Mixed Media",
+      "Uncategorized",
+    ];
+
+const artFields = {
+  title: { type: "string", minLength: 1, maxLength: 120 },
+  image: { type: "string", format: "url", maxLength: 2048 },
+  category: { type: "string", enum: ART_CATEGORIES, allowEmpty: true },
+  medium: { type: "string", maxLength: 80, allowEmpty: true },
+  description: { type: "string", maxLength: 2000, allowEmpty: true },
+  dimensions: { type: "string", maxLength: 80, allowEmpty: true },
+  price: { type: "number", min: 0, allowEmpty: true },
+  visibility: { type: "string", enum: ["Public", "Private"] },
+  userName: { type: "string", minLength: 1, maxLength: 80 },
+  tags: {
+    type: "array",
+    items: { type: "string", minLength: 1, maxLength: MAX_TAG_LENGTH },
+    maxItems: MAX_TAGS,
+  },
+  artistPhoto: {
+    type: "string",
+    format: "url",
+    maxLength: 2048,
+    allowEmpty: true,
+  },
+};
+
+const emailField = { type: "string", format: "email", maxLength: 254 };
+
+const artCreateSchema = {
+  ...artFields,
+  title: { ...artFields.title, required: true },
+  image: { ...artFields.image, required: true },
+  // several possible body keys for email, userEmail preferred
+  userEmail: emailField,
+  email: emailField,
+  artistEmail: emailField,
+  uemail: emailField,
+  artistPhotoUrl: artFields.artistPhoto,
+};
+
+// owner, likes, featured and timestamps are never client-editable; the
+// artist's name and photo follow their profile (PATCH /users/me)
+const artUpdateSchema = Object.fromEntries(
+  Object.entries(artFields).filter(
+    ([field]) => field !== "userName" && field !== "artistPhoto"
+  )
+);
+
+// API: Create New Art
+app.post(
+  "/arts",
+  verifyToken,
+  validateBody(artCreateSchema),
+  async (req, res) => {
+    try {
+      const { artCollection, usersCollection } = await connectDB();
+      const art = req.body;
+
+      // accept several possible body keys for email but prefer userEmail
+      const emailFromBody =
+        art.userEmail || art.email || art.artistEmail || art.uemail || "";
+
+      if (!emailFromBody) {
+        return res
+          .status(400)
+          .json({ error: "userEmail is required in request body" });
+      }
+      if (!isOwnerOrAdmin(req.user, emailFromBody)) {
+        return res.status(403).json({ error: "Forbidden access" });
+      }
+      // every email key sent must name the same (checked) owner
+      const ownerEmail = String(emailFromBody).toLowerCase();
+      const mismatched = ["userEmail", "email", "artistEmail", "uemail"].find(
+        (key) => art[key] && art[key].toLowerCase() !== ownerEmail
+      );
+      if (mismatched)
+        return res.status(400).json({
+          error: "Validation failed",
+          details: [{ field: mismatched, message: "must match the artist" }],
+        });
+
+      // the artist's name and photo come from their profile; the body's
+      // values are only used for artists who have no profile yet
+      const artist = await usersCollection.findOne(
+        { email: ownerEmail },
+        { projection: { name: 1, displayName: 1, photoURL: 1 } }
+      );
+      const artistName = artist?.name || artist?.displayName || art.userName;
+      if (!artistName)
+        return res.status(400).json({
+          error: "Validation failed",
+          details: [{ field: "userName", message: "is required" }],
+        });
+
+      const doc = {
+        image: art.image,
+        title: art.title,
+        category: art.category || "Uncategorized",
+        medium: art.medium || "",
+        description: art.description || "",
+        dimensions: art.dimensions || "",
+        price: art.price ?? "",
+        tags: normalizeTags(art.tags || []),
+        visibility: normalizeVisibility(art.visibility),
+        featured: false, // set through the admin feature endpoints
+        userName: artistName,
+        userEmail: ownerEmail,
+        artistEmail: ownerEmail,
+        artistPhoto:
+          artist?.photoURL || art.artistPhoto || art.artistPhotoUrl || "",
+        likes: 0,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await artCollection.insertOne(doc);
+      doc._id = result.insertedId;
+      publishEvent("new_art", artEventData(doc));
+
+      // Make sure the artist has a user record; existing profiles are left as they are
+      try {
+        if (!artist) {
+          await usersCollection.updateOne(
+            { email: doc.userEmail },
+            {
+              $setOnInsert: {
+                name: doc.userName,
+                photoURL: doc.artistPhoto,
+                role: "User",
+                createdAt: new Date(),
+              },
+            },
+            { upsert: true }
+          );
+        }
+      } catch (e) {
+        // silent fail on user sync
+        console.warn("User sync failed on POST /arts", e);
+      }
+
+      return res.status(201).json(doc);
+    } catch (err) {
+      console.error("POST /arts error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// API: Get Featured Arts (live schedule, public, no open reports)
+app.get("/arts/featured", async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const limit = Math.min(
+      50,
+      Math.max(1, parseInt(req.query.limit, 10) || FEATURED_LIMIT)
+    );
+
+    const results = await artCollection
+      .aggregate([
+        {
+          $match: {
+            ...featuredWindowMatch(new Date()),
+            visibility: { $regex: /^public$/i },
+            deletedAt: null,
+          },
+        },
+        // arts featured before ordering existed go after ordered ones
+        {
+          $set: {
+            sortOrder: { $ifNull: ["$featuredOrder", Number.MAX_SAFE_INTEGER] },
+          },
+        },
+        { $sort: { sortOrder: 1, featuredAt: -1, createdAt: -1, _id: -1 } },
+        ...reportCountStages,
+        { $match: { reportCount: 0 } },
+        { $limit: limit },
+        { $unset: ["sortOrder", "reportCount"] },
+      ])
+      .toArray();
+    return res.json(results);
   } catch (err) {
     console.error("GET /arts/featured error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
+const ART_SORTS = {
+  recent: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  popular: { likes: -1, createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: -1 },
+  relevance: { score: { $meta: "textScore" }, createdAt: -1, _id: -1 },
+};
+
+// Builds the public gallery query from GET /arts params; returns { error } on bad input
+function buildPublicArtQuery(params) {
+  const {
+    search,
+    category,
+    medium,
+    minPrice,
+    maxPrice,
+    artistEmail,
+    userEmail,
+    tags,
+    tagMode = "any",
+    forSale,
+    sold,
+    sort = "recent",
+  } = params;
+  const query = { visibility: { $regex: /^public$/i }, deletedAt: null };
+
+  if (!Object.hasOwn(ART_SORTS, sort)) return { error: "Invalid sort" };
+
+  if (category) query.category = category;
+  const tagList = parseTagsParam(tags);
+  if (tagList.length) {
+    if (tagMode !== "any" && tagMode !== "all")
+      return { error: "Invalid tagMode" };
+    query.tags = tagMode === "all" ? { $all: tagList } : { $in: tagList };
+  }
+  if (medium) {
+    query.medium = { $regex: new RegExp(`^${escapeRegex(medium)}$`, "i") };
+  }
+
+  // artistEmail is an alias for the owner; older arts may carry an unchecked
+  // artistEmail field, so both filter on userEmail
+  const owners = [artistEmail, userEmail]
+    .filter(Boolean)
+    .map((e) => String(e).toLowerCase());
+  if (owners.length) {
+    query.userEmail = new Set(owners).size === 1 ? owners[0] : { $in: [] };
+  }
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    query.price = { $type: "number" };
+    if (minPrice !== undefined && minPrice !== "") {
+      const min = Number(minPrice);
+      if (!Number.isFinite(min)) return { error: "Invalid minPrice" };
+      query.price.$gte = min;
+    }
+    if (maxPrice !== undefined && maxPrice !== "") {
+      const max = Number(maxPrice);
+      if (!Number.isFinite(max)) return { error: "Invalid maxPrice" };
+      query.price.$lte = max;
+    }
+  }
+  // price sorts only make sense for priced pieces ("" means no price)
+  if (sort === "price_asc" || sort === "price_desc") {
+    query.price = { ...query.price, $type: "number" };
+  }
+
+  // priced and not reserved/sold; sold=true once an accepted offer completes
+  const forSaleMatch = {
+    price: { $gt: 0 },
+    saleStatus: { $nin: UNAVAILABLE_SALE_STATUSES },
+  };
+  const saleMatch = [];
+  if (forSale === "true") saleMatch.push(forSaleMatch);
+  else if (forSale === "false") saleMatch.push({ $nor: [forSaleMatch] });
+  else if (forSale !== undefined) return { error: "Invalid forSale" };
+  if (sold === "true") saleMatch.push({ saleStatus: "sold" });
+  else if (sold === "false") saleMatch.push({ saleStatus: { $ne: "sold" } });
+  else if (sold !== undefined) return { error: "Invalid sold" };
+  if (saleMatch.length) query.$and = saleMatch;
+
+  const term = typeof search === "string" ? search.trim() : "";
+  if (term) query.$text = { $search: term };
+
+  // relevance needs a text search to score against
+  const sortKey = sort === "relevance" && !term ? "recent" : sort;
+  return { query, sort: ART_SORTS[sortKey] };
+}
+
 // API: Get All Public Arts (with Filtration)
-app.get("/arts", async (req, res) => {
+app.get("/arts", optionalAuth, async (req, res) => {
   try {
     const { artCollection } = await connectDB();
-    const {
-      search,
-      category,
-      page = 1,
-      limit = 12,
-      sort,
-      artistEmail,
-      userEmail,
-    } = req.query;
-    const query = { visibility: { $regex: /^public$/i } };
+    const { page, limit, skip } = parsePagination(req.query, 12);
 
-    if (category) query.category = category;
+    const { query, sort, error } = buildPublicArtQuery(req.query);
+    if (error) return res.status(400).json({ error });
 
-    if (artistEmail) {
-      query.artistEmail = String(artistEmail).toLowerCase();
-    }
-    if (userEmail) {
-      query.userEmail = String(userEmail).toLowerCase();
+    const pager = parseCursorParams(req.query, sort);
+    if (pager.error) return res.status(400).json({ error: pager.error });
+    if (pager.enabled) {
+      const items = await artCollection
+        .find(withCursorMatch(query, pager.match))
+        .sort(sort)
+        .limit(limit + 1)
+        .toArray();
+      const result = buildCursorPage(items, limit, sort);
+      result.data = await attachLikedByMe(result.data, req.user);
+      return res.json(result);
     }
 
-    if (search) {
-      const regex = new RegExp(search, "i");
-      query.$or = [{ title: regex }, { userName: regex }];
+    const cursor = artCollection.find(query).sort(sort).skip(skip).limit(limit);
+    const results = await attachLikedByMe(await cursor.toArray(), req.user);
+    const total = await artCollection.countDocuments(query);
+
+    return res.json({ total, page, limit, data: results });
+  } catch (err) {
+    console.error("GET /arts error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+const PRICE_BOUNDS = [0, 50, 100, 250, 500, 1000, 5000];
+// "unpriced", "0-50", "50-100", ..., "5000+" in ascending order
+const PRICE_BUCKET_LABELS = [
+  "unpriced",
+  ...PRICE_BOUNDS.slice(1).map((upper, i) => `${PRICE_BOUNDS[i]}-${upper}`),
+  `${PRICE_BOUNDS[PRICE_BOUNDS.length - 1]}+`,
+];
+
+const priceBucketExpr = {
+  $switch: {
+    branches: [
+      { case: { $not: [{ $isNumber: "$price" }] }, then: "unpriced" },
+      ...PRICE_BOUNDS.slice(1).map((upper, i) => ({
+        case: { $lt: ["$price", upper] },
+        then: PRICE_BUCKET_LABELS[i + 1],
+      })),
+    ],
+    default: PRICE_BUCKET_LABELS[PRICE_BUCKET_LABELS.length - 1],
+  },
+};
+
+const facetCount = (field, limit) => [
+  { $match: { [field]: { $nin: [null, ""] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(limit ? [{ $limit: limit }] : []),
+  { $project: { _id: 0, name: "$_id", count: 1 } },
+];
+
+// API: Get Facet Counts for the Current Search (same params as GET /arts)
+app.get("/arts/facets", async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const { query, error } = buildPublicArtQuery({
+      ...req.query,
+      sort: "recent",
+    });
+    if (error) return res.status(400).json({ error });
+
+    const [facets] = await artCollection
+      .aggregate([
+        { $match: query },
+        {
+          $facet: {
+            total: [{ $count: "count" }],
+            categories: facetCount("category"),
+            mediums: facetCount("medium", 30),
+            tags: [{ $unwind: "$tags" }, ...facetCount("tags", 30)],
+            priceBuckets: [
+              { $group: { _id: priceBucketExpr, count: { $sum: 1 } } },
+              { $project: { _id: 0, name: "$_id", count: 1 } },
+            ],
+          },
+        },
+      ])
+      .toArray();
+
+    // keep price buckets in ascending order rather than by count
+    facets.priceBuckets.sort(
+      (a, b) =>
+        PRICE_BUCKET_LABELS.indexOf(a.name) -
+        PRICE_BUCKET_LABELS.indexOf(b.name)
+    );
+
+    return res.json({ ...facets, total: facets.total[0]?.count || 0 });
+  } catch (err) {
+    console.error("GET /arts/facets error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Get Popular Tags (public arts; optional prefix filter q)
+app.get("/tags", async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const limit = Math.min(
+      100,
+      Math.max(1, parseInt(req.query.limit, 10) || 30)
+    );
+    const prefix = req.query.q ? normalizeTag(req.query.q) : "";
+
+    const data = await artCollection
+      .aggregate([
+        {
+          $match: {
+            visibility: { $regex: /^public$/i },
+            deletedAt: null,
+            tags: { $ne: [] },
+          },
+        },
+        { $unwind: "$tags" },
+        ...(prefix
+          ? [{ $match: { tags: { $regex: `^${escapeRegex(prefix)}` } } }]
+          : []),
+        ...facetCount("tags", limit),
+      ])
+      .toArray();
+    return res.json(data);
+  } catch (err) {
+    console.error("GET /tags error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Get Art Details
+app.get("/arts/:id", optionalAuth, async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+
+    const found = await artCollection.findOne({ _id: new ObjectId(id) });
+    // private and trashed art (kept so it can be restored) is only visible to
+    // its owner and admins
+    if (
+      !found ||
+      ((found.deletedAt ||
+        normalizeVisibility(found.visibility) !== "Public") &&
+        !isOwnerOrAdmin(req.user, found.userEmail))
+    )
+      return res.status(404).json({ error: "Artwork not found" });
+    const [art] = await attachLikedByMe([found], req.user);
+
+    const artistCount = await artCollection.countDocuments({
+      userEmail: art.userEmail,
+      deletedAt: null,
+    });
+    return res.json({
+      art,
+      artist: {
+        userName: art.userName,
+        userEmail: art.userEmail,
+        artistPhoto: art.artistPhoto || "",
+        totalArtworks: artistCount,
+      },
+    });
+  } catch (err) {
+    console.error("GET /arts/:id error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// --- Related Artworks ---
+
+const RELATED_WEIGHTS = {
+  category: 3,
+  medium: 2,
+  artist: 2,
+  text: 1, // per textScore point, capped at RELATED_TEXT_CAP
+  coFavorite: 1.5, // per user who favorited both
+};
+const RELATED_TEXT_CAP = 5;
+const RELATED_CANDIDATES = 200;
+const STOP_WORDS = new Set(
+  "a an and are art as at be by for from in is it my of on or the this to with".split(
+    " "
+  )
+);
+
+// Up to 10 distinct words from the title and description for $text search
+function relatedKeywords(art) {
+  const words = `${art.title || ""} ${art.description || ""}`
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter((w) => w.length > 2 && !STOP_WORDS.has(w));
+  return [...new Set(words)].slice(0, 10).join(" ");
+}
+
+// API: Get Related Artworks (category, medium, keywords, artist, co-favorites)
+app.get("/arts/:id/related", optionalAuth, async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+    const limit = Math.min(24, Math.max(1, parseInt(req.query.limit, 10) || 8));
+
+    const art = await artCollection.findOne({ _id: new ObjectId(id) });
+    if (
+      !art ||
+      ((normalizeVisibility(art.visibility) !== "Public" || art.deletedAt) &&
+        !isOwnerOrAdmin(req.user, art.userEmail))
+    )
+      return res.status(404).json({ error: "Artwork not found" });
+
+    const publicOthers = {
+      _id: { $ne: art._id },
+      visibility: { $regex: /^public$/i },
+      deletedAt: null,
+    };
+    const attributeMatch = [
+      art.category && { category: art.category },
+      art.medium && { medium: art.medium },
+      { userEmail: art.userEmail },
+    ].filter(Boolean);
+    const keywords = relatedKeywords(art);
+
+    const results = await artCollection
+      .aggregate([
+        // 1. keyword matches through the text index
+        ...(keywords
+          ? [
+              { $match: { $text: { $search: keywords }, ...publicOthers } },
+              { $sort: { textScore: { $meta: "textScore" } } },
+              { $limit: RELATED_CANDIDATES },
+              { $project: { textScore: { $meta: "textScore" } } },
+            ]
+          : [{ $match: { _id: null } }]),
+        // 2. same category, medium or artist
+        {
+          $unionWith: {
+            coll: "arts",
+            pipeline: [
+              { $match: { ...publicOthers, $or: attributeMatch } },
+              { $sort: { likes: -1, createdAt: -1 } },
+              { $limit: RELATED_CANDIDATES },
+              { $project: { _id: 1 } },
+            ],
+          },
+        },
+        // 3. co-favorites: other arts favorited by people who favorited this one
+        {
+          $unionWith: {
+            coll: "favorites",
+            pipeline: [
+              { $match: { artId: art._id } },
+              { $limit: RELATED_CANDIDATES },
+              {
+                $lookup: {
+                  from: "favorites",
+                  localField: "userEmail",
+                  foreignField: "userEmail",
+                  as: "others",
+                },
+              },
+              { $unwind: "$others" },
+              { $match: { "others.artId": { $ne: art._id } } },
+              { $group: { _id: "$others.artId", coFavorites: { $sum: 1 } } },
+            ],
+          },
+        },
+        {
+          $group: {
+            _id: "$_id",
+            textScore: { $max: "$textScore" },
+            coFavorites: { $max: "$coFavorites" },
+          },
+        },
+        {
+          $lookup: {
+            from: "arts",
+            localField: "_id",
+            foreignField: "_id",
+            as: "art",
+          },
+        },
+        { $unwind: "$art" },
+        {
+          $replaceWith: {
+            $mergeObjects: [
+              "$art",
+              {
+                textScore: { $ifNull: ["$textScore", 0] },
+                coFavorites: { $ifNull: ["$coFavorites", 0] },
+              },
+            ],
+          },
+        },
+        // co-favorite candidates were not filtered yet
+        { $match: publicOthers },
+        // the art's own values are wrapped in $literal so text like "$price"
+        // is compared as a string instead of being read as a field path
+        {
+          $set: {
+            relatedScore: {
+              $add: [
+                {
+                  $cond: [
+                    { $eq: ["$category", { $literal: art.category ?? null }] },
+                    RELATED_WEIGHTS.category,
+                    0,
+                  ],
+                },
+                {
+                  $cond: [
+                    {
+                      $and: [
+                        { $ne: [{ $literal: art.medium || "" }, ""] },
+                        { $eq: ["$medium", { $literal: art.medium ?? null }] },
+                      ],
+                    },
+                    RELATED_WEIGHTS.medium,
+                    0,
+                  ],
+                },
+                {
+                  $cond: [
+                    { $eq: ["$userEmail", { $literal: art.userEmail }] },
+                    RELATED_WEIGHTS.artist,
+                    0,
+                  ],
+                },
+                {
+                  $multiply: [
+                    { $min: ["$textScore", RELATED_TEXT_CAP] },
+                    RELATED_WEIGHTS.text,
+                  ],
+                },
+                { $multiply: ["$coFavorites", RELATED_WEIGHTS.coFavorite] },
+              ],
+            },
+          },
+        },
+        { $sort: { relatedScore: -1, likes: -1, _id: -1 } },
+        { $limit: limit },
+        { $unset: ["textScore", "coFavorites"] },
+      ])
+      .toArray();
+
+    return res.json(await attachLikedByMe(results, req.user));
+  } catch (err) {
+    console.error("GET /arts/:id/related error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Update Art Information
+app.patch(
+  "/arts/:id",
+  verifyToken,
+  validateBody(artUpdateSchema),
+  async (req, res) => {
+    try {
+      const { artCollection } = await connectDB();
+      const { id } = req.params;
+      if (!ObjectId.isValid(id))
+        return res.status(400).json({ error: "Invalid id" });
+
+      const art = await artCollection.findOne(
+        { _id: new ObjectId(id) },
+        {
+          projection: {
+            userEmail: 1,
+            deletedAt: 1,
+            visibility: 1,
+            hiddenReportId: 1,
+          },
+        }
+      );
+      if (!art) return res.status(404).json({ error: "Artwork not found" });
+      if (!isOwnerOrAdmin(req.user, art.userEmail))
+        return res.status(403).json({ error: "Forbidden access" });
+      if (art.deletedAt)
+        return res
+          .status(409)
+          .json({ error: "Restore the artwork before editing it" });
+
+      const update = { ...req.body };
+      // art hidden through a report review stays private until an admin says so
+      if (
+        art.hiddenReportId &&
+        update.visibility !== undefined &&
+        update.visibility !== normalizeVisibility(art.visibility)
+      ) {
+        if (req.user.role !== "Admin")
+          return res
+            .status(403)
+            .json({ error: "This artwork was hidden by moderation" });
+        if (update.visibility === "Public") update.hiddenReportId = null;
+      }
+      if (!Object.keys(update).length)
+        return res.status(400).json({ error: "No fields to update" });
+      if (update.category === "") update.category = "Uncategorized";
+      if (update.tags) update.tags = normalizeTags(update.tags);
+
+      const { matched, revision } = await updateArtWithRevision(
+        art._id,
+        update,
+        req.user
+      );
+      return res.json({
+        acknowledged: true,
+        matchedCount: matched ? 1 : 0,
+        modifiedCount: revision ? 1 : 0,
+        revisionId: revision?._id ?? null,
+      });
+    } catch (err) {
+      console.error("PATCH /arts/:id error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// API: Like Art (idempotent, one like per user)
+app.patch("/arts/:id/like", verifyToken, async (req, res) => {
+  try {
+    const { artCollection, likesCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+    const _id = new ObjectId(id);
+
+    const art = await artCollection.findOne(
+      { _id, deletedAt: null },
+      { projection: { userEmail: 1, title: 1, visibility: 1 } }
+    );
+    if (
+      !art ||
+      (normalizeVisibility(art.visibility) !== "Public" &&
+        !isOwnerOrAdmin(req.user, art.userEmail))
+    )
+      return res.status(404).json({ error: "Artwork not found" });
+
+    let liked = false;
+    try {
+      await withTransaction(async (session) => {
+        await likesCollection.insertOne(
+          {
+            artId: _id,
+            userEmail: req.user.email,
+            userName: req.user.name,
+            createdAt: new Date(),
+          },
+          { session }
+        );
+        await artCollection.updateOne(
+          { _id },
+          { $inc: { likes: 1 } },
+          { session }
+        );
+      });
+      liked = true;
+    } catch (e) {
+      // duplicate key: already liked, nothing to change
+      if (e.code !== 11000) throw e;
+    }
+
+    if (liked) {
+      await notify(
+        [
+          {
+            recipientEmail: art.userEmail,
+            type: "like",
+            actorEmail: req.user.email,
+            actorName: req.user.name,
+            artId: _id,
+            artTitle: art.title,
+            message: `${req.user.name || "Someone"} liked "${art.title}"`,
+          },
+        ],
+        { upsertOn: ["type", "actorEmail", "artId"] }
+      );
+    }
+
+    const updated = await artCollection.findOne(
+      { _id },
+      { projection: { likes: 1 } }
+    );
+    publishEvent("like", { artId: _id, likes: updated?.likes || 0 });
+    return res.json({ likes: updated?.likes || 0, liked: true });
+  } catch (err) {
+    console.error("PATCH /arts/:id/like error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Unlike Art (only removes the caller's own like)
+app.patch("/arts/:id/unlike", verifyToken, async (req, res) => {
+  try {
+    const { artCollection, likesCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+    const _id = new ObjectId(id);
+
+    const art = await artCollection.findOne(
+      { _id, deletedAt: null },
+      { projection: { _id: 1 } }
+    );
+    if (!art) return res.status(404).json({ error: "Artwork not found" });
+
+    await withTransaction(async (session) => {
+      const del = await likesCollection.deleteOne(
+        { artId: _id, userEmail: req.user.email },
+        { session }
+      );
+      if (del.deletedCount === 0) return;
+      await artCollection.updateOne(
+        { _id, likes: { $gt: 0 } },
+        { $inc: { likes: -1 } },
+        { session }
+      );
+    });
+
+    const updated = await artCollection.findOne(
+      { _id },
+      { projection: { likes: 1 } }
+    );
+    publishEvent("like", { artId: _id, likes: updated?.likes || 0 });
+    return res.json({ likes: updated?.likes || 0, liked: false });
+  } catch (err) {
+    console.error("PATCH /arts/:id/unlike error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Get Users Who Liked an Art
+app.get("/arts/:id/likes", optionalAuth, async (req, res) => {
+  try {
+    const { artCollection, likesCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+    const artId = new ObjectId(id);
+    const { page, limit, skip } = parsePagination(req.query, 20);
+
+    const art = await artCollection.findOne(
+      { _id: artId, deletedAt: null },
+      { projection: { userEmail: 1, visibility: 1 } }
+    );
+    const canManage = isOwnerOrAdmin(req.user, art?.userEmail);
+    if (
+      !art ||
+      (normalizeVisibility(art.visibility) !== "Public" && !canManage)
+    )
+      return res.status(404).json({ error: "Artwork not found" });
+
+    const data = await likesCollection
+      .aggregate([
+        { $match: { artId } },
+        { $sort: { createdAt: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: "users",
+            localField: "userEmail",
+            foreignField: "email",
+            as: "user",
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            // emails are only shown to the art's owner and admins
+            ...(canManage && { userEmail: 1 }),
+            userId: { $first: "$user._id" },
+            handle: { $ifNull: [{ $first: "$user.handle" }, null] },
+            userName: {
+              $ifNull: [
+                { $first: "$user.name" },
+                { $ifNull: [{ $first: "$user.displayName" }, "$userName"] },
+              ],
+            },
+            photoURL: { $ifNull: [{ $first: "$user.photoURL" }, ""] },
+            likedAt: "$createdAt",
+          },
+        },
+      ])
+      .toArray();
+    const total = await likesCollection.countDocuments({ artId });
+
+    return res.json({ total, page, limit, data });
+  } catch (err) {
+    console.error("GET /arts/:id/likes error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Get Total Likes
+app.get("/likes/total", async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const result = await artCollection
+      .aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: null, totalLikes: { $sum: "$likes" } } },
+      ])
+      .toArray();
+    return res.json({ totalLikes: result[0]?.totalLikes || 0 });
+  } catch (err) {
+    console.error("GET /likes/total error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Delete Art (moves it to the trash; purged after TRASH_RETENTION_DAYS)
+app.delete("/arts/:id", verifyToken, async (req, res) => {
+  try {
+    const { artCollection, reportsCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+
+    const art = await artCollection.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { userEmail: 1, title: 1, deletedAt: 1 } }
+    );
+    if (!art) return res.status(404).json({ error: "Artwork not found" });
+    if (!isOwnerOrAdmin(req.user, art.userEmail))
+      return res.status(403).json({ error: "Forbidden access" });
+    if (art.deletedAt)
+      return res.status(409).json({ error: "Artwork is already in the trash" });
+
+    // an admin removing someone else's art: tell the artist and open reporters
+    const removedByAdmin =
+      String(art.userEmail).toLowerCase() !== req.user.email;
+    const openReports = removedByAdmin
+      ? await reportsCollection
+          .find(
+            { artId: art._id, status: { $in: OPEN_REPORT_STATUSES } },
+            { projection: { reporterEmail: 1 } }
+          )
+          .toArray()
+      : [];
+
+    const now = new Date();
+    const result = await artCollection.updateOne(
+      { _id: art._id, deletedAt: null },
+      { $set: { deletedAt: now, deletedBy: req.user.email } }
+    );
+    if (removedByAdmin && result.modifiedCount) {
+      const base = {
+        actorEmail: req.user.email,
+        artId: art._id,
+        artTitle: art.title,
+        action: "delete_art",
+      };
+      await notify([
+        {
+          ...base,
+          recipientEmail: art.userEmail,
+          type: "moderation",
+          message: `"${art.title}" was removed by an admin`,
+        },
+        ...[...new Set(openReports.map((r) => r.reporterEmail))].map(
+          (email) => ({
+            ...base,
+            recipientEmail: email,
+            type: "report_update",
+            status: "resolved",
+            message: `"${art.title}", which you reported, was removed`,
+          })
+        ),
+      ]);
+    }
+    return res.json({
+      acknowledged: result.acknowledged,
+      deletedCount: result.modifiedCount,
+      trashed: true,
+      purgeAt: trashPurgeAt(now),
+    });
+  } catch (err) {
+    console.error("DELETE /arts/:id error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Get User's Arts
+app.get("/my-arts", optionalAuth, async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const { email } = req.query;
+    if (!email)
+      return res.status(400).json({ error: "email query param required" });
+
+    const query = { userEmail: String(email).toLowerCase(), deletedAt: null };
+    // everyone else only sees the artist's public pieces
+    if (!isOwnerOrAdmin(req.user, email))
+      query.visibility = { $regex: /^public$/i };
+    const sort = { createdAt: -1, _id: -1 };
+
+    const pager = parseCursorParams(req.query, sort);
+    if (pager.error) return res.status(400).json({ error: pager.error });
+    if (pager.enabled) {
+      const { limit } = parsePagination(req.query, 12);
+      const items = await artCollection
+        .find(withCursorMatch(query, pager.match))
+        .sort(sort)
+        .limit(limit + 1)
+        .toArray();
+      return res.json(buildCursorPage(items, limit, sort));
+    }
+
+    const results = await artCollection.find(query).sort(sort).toArray();
+    return res.json(results);
+  } catch (err) {
+    console.error("GET /my-arts error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+const favoriteSchema = {
+  artId: { type: "objectId", required: true },
+  userEmail: {
+    type: "string",
+    required: true,
+    format: "email",
+    maxLength: 254,
+  },
+};
+
+// API: Add Art to Favorites
+app.post(
+  "/favorites",
+  verifyToken,
+  validateBody(favoriteSchema),
+  async (req, res) => {
+    try {
+      const { favoritesCollection, artCollection } = await connectDB();
+      const { artId, userEmail } = req.body;
+      if (!isOwnerOrAdmin(req.user, userEmail))
+        return res.status(403).json({ error: "Forbidden access" });
+
+      const art = await artCollection.findOne(
+        { _id: new ObjectId(artId), deletedAt: null },
+        { projection: { userEmail: 1, title: 1 } }
+      );
+      if (!art) return res.status(404).json({ error: "Artwork not found" });
+
+      const exists = await favoritesCollection.findOne({
+        artId: new ObjectId(artId),
+        userEmail,
+      });
+      if (exists)
+        return res.status(409).json({ error: "Already in favorites" });
+
+      const doc = {
+        artId: new ObjectId(artId),
+        userEmail,
+        createdAt: new Date(),
+      };
+      const result = await favoritesCollection.insertOne(doc);
+
+      await notify([
+        {
+          recipientEmail: art.userEmail,
+          type: "favorite",
+          actorEmail: req.user.email,
+          actorName: req.user.name,
+          artId: art._id,
+          artTitle: art.title,
+          message: `${req.user.name || "Someone"} added "${art.title}" to their favorites`,
+        },
+      ]);
+      return res.status(201).json({ insertedId: result.insertedId });
+    } catch (err) {
+      console.error("POST /favorites error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// API: Get User Favorites
+app.get("/favorites", async (req, res) => {
+  try {
+    const { artCollection, favoritesCollection } = await connectDB();
+    const { email } = req.query;
+    if (!email)
+      return res.status(400).json({ error: "email query param required" });
+
+    const query = { userEmail: email };
+    const sort = { createdAt: -1, _id: -1 };
+    const pager = parseCursorParams(req.query, sort);
+    if (pager.error) return res.status(400).json({ error: pager.error });
+
+    let page = null;
+    let favs;
+    if (pager.enabled) {
+      const { limit } = parsePagination(req.query, 12);
+      const items = await favoritesCollection
+        .find(withCursorMatch(query, pager.match))
+        .sort(sort)
+        .limit(limit + 1)
+        .toArray();
+      page = buildCursorPage(items, limit, sort);
+      favs = page.data;
+    } else {
+      favs = await favoritesCollection.find(query).sort(sort).toArray();
+    }
+
+    const artIds = favs.map((f) => f.artId);
+    // trashed arts come back as null, like deleted ones
+    const arts = await artCollection
+      .find({ _id: { $in: artIds }, deletedAt: null })
+      .toArray();
+
+    const data = favs.map((f) => {
+      const art = arts.find((a) => a._id.toString() === f.artId.toString());
+      return { favoriteId: f._id, createdAt: f.createdAt, art: art || null };
+    });
+
+    if (page) return res.json({ ...page, data });
+    return res.json(data);
+  } catch (err) {
+    console.error("GET /favorites error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Remove from Favorites
+app.delete("/favorites/:id", verifyToken, async (req, res) => {
+  try {
+    const { favoritesCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+
+    const fav = await favoritesCollection.findOne({ _id: new ObjectId(id) });
+    if (!fav) return res.status(404).json({ error: "Favorite not found" });
+    if (!isOwnerOrAdmin(req.user, fav.userEmail))
+      return res.status(403).json({ error: "Forbidden access" });
+
+    const result = await favoritesCollection.deleteOne({ _id: fav._id });
+    return res.json(result);
+  } catch (err) {
+    console.error("DELETE /favorites/:id error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// --- Art Revisions ---
+
+function sameValue(a, b) {
+  return BSON.EJSON.stringify(a ?? null) === BSON.EJSON.stringify(b ?? null);
+}
+
+// Records which fields an update changes, with old and new values. Returns the
+// revision, or null when nothing actually changed.
+async function recordArtRevision(before, update, user, session, extra = {}) {
+  const changes = Object.keys(update)
+    .filter((field) => field !== "updatedAt")
+    .filter((field) => !sameValue(before[field], update[field]))
+    .map((field) => ({
+      field,
+      from: before[field] ?? null,
+      to: update[field] ?? null,
+    }));
+  if (!changes.length) return null;
+
+  const revision = {
+    artId: before._id,
+    changes,
+    editorEmail: user.email,
+    editorName: user.name,
+    editorRole: user.role,
+    createdAt: update.updatedAt || new Date(),
+    ...extra,
+  };
+  const { insertedId } = await artRevisionsCollection.insertOne(revision, {
+    session,
+  });
+  return { _id: insertedId, ...revision };
+}
+
+// Applies field values to an art ($unset for nulls) and records the revision.
+// Nothing is written when no value actually changes (revision is then null).
+async function updateArtWithRevision(artId, fields, user, extra) {
+  const now = new Date();
+  return withTransaction(async (session) => {
+    const before = await artCollection.findOne({ _id: artId }, { session });
+    if (!before) return { matched: false, revision: null };
+
+    const changed = Object.fromEntries(
+      Object.entries(fields).filter(
+        ([field, value]) => !sameValue(before[field], value)
+      )
+    );
+    if (!Object.keys(changed).length) return { matched: true, revision: null };
+
+    const $set = { updatedAt: now };
+    const $unset = {};
+    for (const [field, value] of Object.entries(changed)) {
+      if (value === null) $unset[field] = "";
+      else $set[field] = value;
+    }
+    const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+    await artCollection.updateOne({ _id: artId }, update, { session });
+
+    const revision = await recordArtRevision(
+      before,
+      { ...changed, updatedAt: now },
+      user,
+      session,
+      extra
+    );
+    return { matched: true, revision };
+  });
+}
+
+// Revision history is for the artist and moderators only
+async function findRevisableArt(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ error: "Invalid id" });
+    return null;
+  }
+  const art = await artCollection.findOne(
+    { _id: new ObjectId(id) },
+    { projection: { userEmail: 1, deletedAt: 1 } }
+  );
+  if (!art) {
+    res.status(404).json({ error: "Artwork not found" });
+    return null;
+  }
+  if (!isOwnerOrAdmin(req.user, art.userEmail)) {
+    res.status(403).json({ error: "Forbidden access" });
+    return null;
+  }
+  return art;
+}
+
+// API: Get Art Revision History (newest first; Owner or Admin)
+app.get("/arts/:id/revisions", verifyToken, async (req, res) => {
+  try {
+    const { artRevisionsCollection } = await connectDB();
+    const art = await findRevisableArt(req, res);
+    if (!art) return;
+
+    const { page, limit, skip } = parsePagination(req.query, 20);
+    const query = { artId: art._id };
+    const data = await artRevisionsCollection
+      .find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+    const total = await artRevisionsCollection.countDocuments(query);
+    return res.json({ total, page, limit, data });
+  } catch (err) {
+    console.error("GET /arts/:id/revisions error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Revert an Art Revision (Owner or Admin). Undoes that revision and every
+// later one, so the art looks as it did just before it; recorded as a revision.
+app.post(
+  "/arts/:id/revisions/:revisionId/revert",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const { artRevisionsCollection } = await connectDB();
+      const art = await findRevisableArt(req, res);
+      if (!art) return;
+      if (art.deletedAt)
+        return res
+          .status(409)
+          .json({ error: "Restore the artwork before editing it" });
+      const { revisionId } = req.params;
+      if (!ObjectId.isValid(revisionId))
+        return res.status(400).json({ error: "Invalid revision id" });
+
+      const target = await artRevisionsCollection.findOne({
+        _id: new ObjectId(revisionId),
+        artId: art._id,
+      });
+      if (!target) return res.status(404).json({ error: "Revision not found" });
+
+      // newest first, so the oldest "from" for each field wins
+      const revisions = await artRevisionsCollection
+        .find({
+          artId: art._id,
+          $or: [
+            { createdAt: { $gt: target.createdAt } },
+            { createdAt: target.createdAt, _id: { $gte: target._id } },
+          ],
+        })
+        .sort({ createdAt: -1, _id: -1 })
+        .toArray();
+      // moderation edits (hide_art carries its reportId) are for admins to undo
+      if (
+        req.user.role !== "Admin" &&
+        revisions.some((revision) => revision.reportId)
+      )
+        return res.status(403).json({ error: "Forbidden access" });
+
+      const fields = {};
+      for (const revision of revisions) {
+        for (const change of revision.changes)
+          fields[change.field] = change.from;
+      }
+
+      const { matched, revision } = await updateArtWithRevision(
+        art._id,
+        fields,
+        req.user,
+        { revertOf: target._id }
+      );
+      if (!matched) return res.status(404).json({ error: "Artwork not found" });
+      if (!revision)
+        return res.status(409).json({ error: "Nothing to revert" });
+      const updated = await artCollection.findOne({ _id: art._id });
+      return res.json({ art: updated, revision });
+    } catch (err) {
+      console.error("POST /arts/:id/revisions/:revisionId/revert error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// --- Trash ---
+
+// days a trashed art can still be restored before it is purged
+const TRASH_RETENTION_DAYS =
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+function trashPurgeAt(deletedAt) {
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Permanently removes arts with their favorites, likes, comments and gallery
+// entries. Reports go too, except on arts removed through a report review
+// (moderation keeps its audit).
+async function purgeArts(artIds, session) {
+  const opts = { session };
+  const ids = { $in: artIds };
+  const moderated = await artCollection.distinct(
+    "_id",
+    { _id: ids, deletedReportId: { $ne: null } },
+    opts
+  );
+  await favoritesCollection.deleteMany({ artId: ids }, opts);
+  await likesCollection.deleteMany({ artId: ids }, opts);
+  await commentsCollection.deleteMany({ artId: ids }, opts);
+  await reportsCollection.deleteMany(
+    { artId: { $in: artIds, $nin: moderated } },
+    opts
+  );
+  await artRevisionsCollection.deleteMany({ artId: ids }, opts);
+  await offersCollection.deleteMany({ artId: ids }, opts);
+  await galleriesCollection.updateMany(
+    { artIds: ids },
+    { $pull: { artIds: ids } },
+    opts
+  );
+  return (await artCollection.deleteMany({ _id: ids }, opts)).deletedCount;
+}
+
+// Purges arts that have been in the trash longer than the retention period
+async function purgeExpiredTrash() {
+  const { artCollection } = await connectDB();
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  const expired = await artCollection
+    .find({ deletedAt: { $lte: cutoff } }, { projection: { image: 1 } })
+    .toArray();
+  if (!expired.length) return 0;
+  const purged = await withTransaction((session) =>
+    purgeArts(
+      expired.map((a) => a._id),
+      session
+    )
+  );
+  await removeUnusedUploads(expired.map((a) => a.image));
+  return purged;
+}
+
+// API: Get Trashed Arts (your own; admins see everyone's or filter by email)
+app.get("/trash", verifyToken, async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const { page, limit, skip } = parsePagination(req.query, 20);
+    const query = { deletedAt: { $ne: null } };
+    if (req.user.role !== "Admin") query.userEmail = req.user.email;
+    else if (req.query.email)
+      query.userEmail = String(req.query.email).toLowerCase();
+
+    const items = await artCollection
+      .find(query)
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+    const total = await artCollection.countDocuments(query);
+    const data = items.map((art) => ({
+      ...art,
+      purgeAt: trashPurgeAt(art.deletedAt),
+    }));
+    return res.json({ total, page, limit, data });
+  } catch (err) {
+    console.error("GET /trash error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Restore Art from the Trash (Owner or Admin)
+app.post("/arts/:id/restore", verifyToken, async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+
+    const art = await artCollection.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { userEmail: 1, deletedAt: 1, deletedReportId: 1 } }
+    );
+    if (!art) return res.status(404).json({ error: "Artwork not found" });
+    if (!isOwnerOrAdmin(req.user, art.userEmail))
+      return res.status(403).json({ error: "Forbidden access" });
+    if (!art.deletedAt)
+      return res.status(409).json({ error: "Artwork is not in the trash" });
+    // removed through a report review: undoing it is a moderation decision
+    if (art.deletedReportId && req.user.role !== "Admin")
+      return res.status(403).json({ error: "Forbidden access" });
+
+    const restored = await artCollection.findOneAndUpdate(
+      { _id: art._id, deletedAt: { $ne: null } },
+      {
+        $unset: { deletedAt: "", deletedBy: "", deletedReportId: "" },
+        $set: { updatedAt: new Date() },
+      },
+      { returnDocument: "after" }
+    );
+    if (!restored)
+      return res.status(409).json({ error: "Artwork is not in the trash" });
+    return res.json(restored);
+  } catch (err) {
+    console.error("POST /arts/:id/restore error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Permanently Delete a Trashed Art (Owner or Admin)
+app.delete("/trash/:id", verifyToken, async (req, res) => {
+  try {
+    const { artCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+
+    const art = await artCollection.findOne(
+      { _id: new ObjectId(id), deletedAt: { $ne: null } },
+      { projection: { userEmail: 1, image: 1 } }
+    );
+    if (!art) return res.status(404).json({ error: "Artwork not in trash" });
+    if (!isOwnerOrAdmin(req.user, art.userEmail))
+      return res.status(403).json({ error: "Forbidden access" });
+
+    const purged = await withTransaction((session) =>
+      purgeArts([art._id], session)
+    );
+    await removeUnusedUploads([art.image]);
+    return res.json({ purged });
+  } catch (err) {
+    console.error("DELETE /trash/:id error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Purge Expired Trash (Admin; also runs on a timer when self-hosted)
+app.post("/admin/trash/purge", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const purged = await purgeExpiredTrash();
+    const uploadsRemoved = await sweepOrphanedUploads();
+    return res.json({
+      purged,
+      uploadsRemoved,
+      retentionDays: TRASH_RETENTION_DAYS,
+    });
+  } catch (err) {
+    console.error("POST /admin/trash/purge error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// --- Offers ---
+
+const OFFER_TYPES = ["offer", "inquiry"];
+const OFFER_STATUSES = [
+  "open",
+  "countered",
+  "accepted",
+  "declined",
+  "withdrawn",
+  "completed",
+  "cancelled",
+];
+const OPEN_OFFER_STATUSES = ["open", "countered"];
+// art.saleStatus once an offer is accepted ("reserved") or the sale completes
+const UNAVAILABLE_SALE_STATUSES = ["reserved", "sold"];
+
+// Which side may take each action, and from which offer statuses
+const OFFER_ACTIONS = {
+  accept: { seller: ["open"], buyer: ["countered"] },
+  decline: { seller: ["open"], buyer: ["countered"] },
+  counter: { seller: ["open"] },
+  withdraw: { buyer: ["open", "countered"] },
+  complete: { seller: ["accepted"] },
+  cancel: { seller: ["accepted"] },
+};
+const OFFER_ACTION_STATUS = {
+  accept: "accepted",
+  decline: "declined",
+  counter: "countered",
+  withdraw: "withdrawn",
+  complete: "completed",
+  cancel: "cancelled",
+};
+
+const offerSchema = {
+  type: { type: "string", enum: OFFER_TYPES },
+  amount: { type: "number", min: 0 },
+  message: { type: "string", maxLength: 1000, allowEmpty: true },
+};
+
+const offerUpdateSchema = {
+  action: {
+    type: "string",
+    required: true,
+    enum: Object.keys(OFFER_ACTIONS),
+  },
+  amount: { type: "number", min: 0 },
+  message: { type: "string", maxLength: 1000, allowEmpty: true },
+};
+
+function isForSale(art) {
+  return (
+    typeof art.price === "number" &&
+    art.price > 0 &&
+    !UNAVAILABLE_SALE_STATUSES.includes(art.saleStatus)
+  );
+}
+
+// "buyer", "seller" (the artist or an admin) or null for anyone else
+function offerRole(offer, user) {
+  if (offer.buyerEmail === user.email) return "buyer";
+  return isOwnerOrAdmin(user, offer.artistEmail) ? "seller" : null;
+}
+
+// API: Make an Offer or Inquiry on a Priced Public Art
+app.post(
+  "/arts/:id/offers",
+  verifyToken,
+  validateBody(offerSchema),
+  async (req, res) => {
+    try {
+      const { artCollection, offersCollection } = await connectDB();
+      const { id } = req.params;
+      if (!ObjectId.isValid(id))
+        return res.status(400).json({ error: "Invalid id" });
+      const { type = "offer", amount, message = "" } = req.body;
+      if (type === "offer" && !(amount > 0))
+        return res.status(400).json({
+          error: "Validation failed",
+          details: [{ field: "amount", message: "must be greater than 0" }],
+        });
+      if (type === "inquiry" && !message.trim())
+        return res.status(400).json({
+          error: "Validation failed",
+          details: [{ field: "message", message: "is required" }],
+        });
+
+      const art = await artCollection.findOne(
+        { _id: new ObjectId(id), deletedAt: null },
+        {
+          projection: {
+            title: 1,
+            userEmail: 1,
+            visibility: 1,
+            price: 1,
+            saleStatus: 1,
+          },
+        }
+      );
+      if (!art || normalizeVisibility(art.visibility) !== "Public")
+        return res.status(404).json({ error: "Artwork not found" });
+      if (!isForSale(art))
+        return res.status(409).json({ error: "This artwork is not for sale" });
+      if (String(art.userEmail).toLowerCase() === req.user.email)
+        return res
+          .status(400)
+          .json({ error: "You cannot make an offer on your own artwork" });
+
+      const existing = await offersCollection.findOne({
+        artId: art._id,
+        buyerEmail: req.user.email,
+        status: { $in: OPEN_OFFER_STATUSES },
+      });
+      if (existing)
+        return res
+          .status(409)
+          .json({ error: "You already have an open offer on this artwork" });
+
+      const now = new Date();
+      const doc = {
+        artId: art._id,
+        artTitle: art.title,
+        artistEmail: String(art.userEmail).toLowerCase(),
+        askingPrice: art.price,
+        buyerEmail: req.user.email,
+        buyerName: req.user.name,
+        type,
+        amount: type === "offer" ? amount : null,
+        message,
+        status: "open",
+        history: [
+          {
+            action: type,
+            by: req.user.email,
+            amount: type === "offer" ? amount : null,
+            message,
+            createdAt: now,
+          },
+        ],
+        createdAt: now,
+        updatedAt: now,
+      };
+      const result = await offersCollection.insertOne(doc);
+
+      await notify([
+        {
+          recipientEmail: doc.artistEmail,
+          type: "offer",
+          actorEmail: req.user.email,
+          actorName: req.user.name,
+          artId: art._id,
+          artTitle: art.title,
+          offerId: result.insertedId,
+          message:
+            type === "offer"
+              ? `${req.user.name || "Someone"} offered ${amount} for "${art.title}"`
+              : `${req.user.name || "Someone"} asked about "${art.title}"`,
+        },
+      ]);
+      return res.status(201).json({ _id: result.insertedId, ...doc });
+    } catch (err) {
+      console.error("POST /arts/:id/offers error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// API: Get My Offers (role=buyer for offers I made, role=seller for offers on my art)
+app.get("/offers", verifyToken, async (req, res) => {
+  try {
+    const { offersCollection } = await connectDB();
+    const { role = "buyer", status, artId } = req.query;
+    if (role !== "buyer" && role !== "seller")
+      return res.status(400).json({ error: "Invalid role" });
+    const { page, limit, skip } = parsePagination(req.query, 20);
+
+    const query =
+      role === "buyer"
+        ? { buyerEmail: req.user.email }
+        : { artistEmail: req.user.email };
+    if (status) {
+      const statuses = String(status)
+        .split(",")
+        .map((st) => st.trim().toLowerCase());
+      if (statuses.some((st) => !OFFER_STATUSES.includes(st)))
+        return res.status(400).json({ error: "Invalid status" });
+      query.status = { $in: statuses };
+    }
+    if (artId) {
+      if (!ObjectId.isValid(artId))
+        return res.status(400).json({ error: "Invalid artId" });
+      query.artId = new ObjectId(artId);
+    }
+
+    const data = await offersCollection
+      .find(query)
+      .sort({ updatedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+    const total = await offersCollection.countDocuments(query);
+    return res.json({ total, page, limit, data });
+  } catch (err) {
+    console.error("GET /offers error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Get One Offer (buyer, artist or admin)
+app.get("/offers/:id", verifyToken, async (req, res) => {
+  try {
+    const { offersCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+
+    const offer = await offersCollection.findOne({ _id: new ObjectId(id) });
+    if (!offer) return res.status(404).json({ error: "Offer not found" });
+    if (!offerRole(offer, req.user))
+      return res.status(403).json({ error: "Forbidden access" });
+    return res.json(offer);
+  } catch (err) {
+    console.error("GET /offers/:id error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Respond to an Offer. The artist can accept, decline or counter; the
+// buyer can accept or decline a counter, or withdraw. Accepting reserves the
+// art and declines every other open offer on it; the artist then completes
+// (sold) or cancels (available again) the sale.
+app.patch(
+  "/offers/:id",
+  verifyToken,
+  validateBody(offerUpdateSchema),
+  async (req, res) => {
+    try {
+      const { offersCollection, artCollection } = await connectDB();
+      const { id } = req.params;
+      if (!ObjectId.isValid(id))
+        return res.status(400).json({ error: "Invalid id" });
+      const { action, amount, message = "" } = req.body;
+
+      const offer = await offersCollection.findOne({ _id: new ObjectId(id) });
+      if (!offer) return res.status(404).json({ error: "Offer not found" });
+      const role = offerRole(offer, req.user);
+      if (!role) return res.status(403).json({ error: "Forbidden access" });
+
+      const allowedFrom = OFFER_ACTIONS[action][role];
+      if (!allowedFrom)
+        return res
+          .status(403)
+          .json({ error: `The ${role} cannot ${action} an offer` });
+      if (!allowedFrom.includes(offer.status))
+        return res.status(409).json({
+          error: `Cannot ${action} an offer that is '${offer.status}'`,
+        });
+      if (action === "counter" && !(amount > 0))
+        return res.status(400).json({
+          error: "Validation failed",
+          details: [{ field: "amount", message: "must be greater than 0" }],
+        });
+
+      const now = new Date();
+      const $set = { status: OFFER_ACTION_STATUS[action], updatedAt: now };
+      if (action === "counter") $set.counterAmount = amount;
+      if (action === "accept") {
+        $set.agreedAmount =
+          offer.status === "countered"
+            ? offer.counterAmount
+            : (offer.amount ?? offer.askingPrice);
+      }
+      const entry = {
+        action,
+        by: req.user.email,
+        role,
+        amount: action === "counter" ? amount : null,
+        message,
+        createdAt: now,
+      };
+
+      const outcome = await withTransaction(async (session) => {
+        if (action === "accept") {
+          const reserved = await artCollection.updateOne(
+            {
+              _id: offer.artId,
+              deletedAt: null,
+              saleStatus: { $nin: UNAVAILABLE_SALE_STATUSES },
+            },
+            {
+              $set: {
+                saleStatus: "reserved",
+                saleOfferId: offer._id,
+                updatedAt: now,
+              },
+            },
+            { session }
+          );
+          if (!reserved.modifiedCount)
+            return { error: "This artwork is no longer available" };
+        }
+
+        const updated = await offersCollection.findOneAndUpdate(
+          { _id: offer._id, status: offer.status },
+          { $set, $push: { history: entry } },
+          { returnDocument: "after", session }
+        );
+        if (!updated) {
+          // someone else moved the offer first; give the art back
+          if (action === "accept") {
+            await artCollection.updateOne(
+              { _id: offer.artId, saleOfferId: offer._id },
+              { $unset: { saleStatus: "", saleOfferId: "" } },
+              { session }
+            );
+          }
+          return { error: "Offer was updated by someone else, please retry" };
+        }
+
+        let declined = [];
+        if (action === "accept") {
+          declined = await offersCollection
+            .find(
+              {
+                artId: offer.artId,
+                _id: { $ne: offer._id },
+                status: { $in: OPEN_OFFER_STATUSES },
+              },
+              { projection: { buyerEmail: 1 }, session }
+            )
+            .toArray();
+          await offersCollection.updateMany(
+            {
+              _id: { $in: declined.map((o) => o._id) },
+              status: { $in: OPEN_OFFER_STATUSES },
+            },
+            {
+              $set: { status: "declined", updatedAt: now },
+              $push: {
+                history: {
+                  action: "decline",
+                  by: req.user.email,
+                  role: "seller",
+                  message: "Another offer was accepted",
+                  createdAt: now,
+                },
+              },
+            },
+            { session }
+          );
+        } else if (action === "complete") {
+          await artCollection.updateOne(
+            { _id: offer.artId, saleOfferId: offer._id },
+            {
+              $set: {
+                saleStatus: "sold",
+                soldAt: now,
+                soldPrice: offer.agreedAmount,
+                updatedAt: now,
+              },
+            },
+            { session }
+          );
+        } else if (action === "cancel") {
+          await artCollection.updateOne(
+            { _id: offer.artId, saleOfferId: offer._id },
+            {
+              $unset: { saleStatus: "", saleOfferId: "" },
+              $set: { updatedAt: now },
+            },
+            { session }
+          );
+        }
+        return { offer: updated, declined };
+      });
+
+      if (outcome.error) return res.status(409).json({ error: outcome.error });
+
+      const base = {
+        type: "offer",
+        actorEmail: req.user.email,
+        actorName: req.user.name,
+        artId: offer.artId,
+        artTitle: offer.artTitle,
+      };
+      const counterpart =
+        role === "buyer" ? offer.artistEmail : offer.buyerEmail;
+      const summaries = {
+        accepted: `Your offer on "${offer.artTitle}" was accepted`,
+        declined: `Your offer on "${offer.artTitle}" was declined`,
+        countered: `The artist countered with ${amount} for "${offer.artTitle}"`,
+        withdrawn: `An offer on "${offer.artTitle}" was withdrawn`,
+        completed: `Your purchase of "${offer.artTitle}" is complete`,
+        cancelled: `The sale of "${offer.artTitle}" was cancelled`,
+      };
+      await notify([
+        {
+          ...base,
+          recipientEmail: counterpart,
+          offerId: offer._id,
+          message:
+            role === "buyer" && action !== "withdraw"
+              ? `The buyer ${action === "accept" ? "accepted" : "declined"} your counter on "${offer.artTitle}"`
+              : summaries[$set.status],
+        },
+        ...outcome.declined.map((o) => ({
+          ...base,
+          recipientEmail: o.buyerEmail,
+          offerId: o._id,
+          message: `"${offer.artTitle}" was reserved for another buyer`,
+        })),
+      ]);
+      return res.json(outcome.offer);
+    } catch (err) {
+      console.error("PATCH /offers/:id error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// --- Comments ---
+
+const commentTextField = { type: "string", required: true, maxLength: 1000 };
+const commentSchema = {
+  text: commentTextField,
+  parentId: { type: "objectId" },
+};
+const commentUpdateSchema = { text: commentTextField };
+
+// Arts are commentable when public (or the caller owns them / is admin) and not trashed
+async function findCommentableArt(id, user) {
+  const art = await artCollection.findOne(
+    { _id: new ObjectId(id) },
+    { projection: { userEmail: 1, visibility: 1, deletedAt: 1 } }
+  );
+  if (!art || art.deletedAt) return null;
+  if (normalizeVisibility(art.visibility) === "Public") return art;
+  return isOwnerOrAdmin(user, art.userEmail) ? art : null;
+}
+
+// API: Get Comments for an Art (top-level comments with their replies)
+app.get("/arts/:id/comments", optionalAuth, async (req, res) => {
+  try {
+    const { commentsCollection } = await connectDB();
+    const { id } = req.params;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ error: "Invalid id" });
+    const { page, limit, skip } = parsePagination(req.query, 20);
+
+    const art = await findCommentableArt(id, req.user);
+    if (!art) return res.status(404).json({ error: "Artwork not found" });
+
+    const query = { artId: art._id, parentId: null };
+    const comments = await commentsCollection
+      .find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+    const total = await commentsCollection.countDocuments(query);
+
+    const replies = await commentsCollection
+      .find({ parentId: { $in: comments.map((c) => c._id) } })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+    const data = comments.map((c) => ({
+      ...c,
+      replies: replies.filter((r) => r.parentId.equals(c._id)),
+    }));
+
+    return res.json({ total, page, limit, data });
+  } catch (err) {
+    console.error("GET /arts/:id/comments error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API: Add Comment or Reply
+app.post(
+  "/arts/:id/comments",
+  verifyToken,
+  validateBody(commentSchema),
+  async (req, res) => {
+    try {
+      const { commentsCollection, usersCollection } = await connectDB();
+      const { id } = req.params;
+      if (!ObjectId.isValid(id))
+        return res.status(400).json({ error: "Invalid id" });
+
+      const { text, parentId } = req.body;
+
+      const art = await findCommentableArt(id, req.user);
+      if (!art) return res.status(404).json({ error: "Artwork not found" });
+
+      let parent = null;
+      if (parentId) {
+        parent = await commentsCollection.findOne({
+          _id: new ObjectId(parentId),
+          artId: art._id,
+        });
+        if (!parent)
+          return res.status(404).json({ error: "Parent comment not found" });
+        if (parent.parentId)
+          return res
+            .status(400)
+            .json({ error: "Replies can only be one level deep" });
+      }
+
+      const author = await usersCollection.findOne(
+        { _id: req.user._id },
+        { projection: { photoURL: 1 } }
+      );
+      const now = new Date();
+      const doc = {
+        artId: art._id,
+        parentId: parent ? parent._id : null,
+        userEmail: req.user.email,
+        userName: req.user.name,
+        userPhoto: author?.photoURL || "",
+        text,
+        edited: false,
+        createdAt: now,
+        updatedAt: now,
+      };
+      const result = await commentsCollection.insertOne(doc);
+      doc._id = result.insertedId;
+      return res.status(201).json(doc);
+    } catch (err) {
+      console.error("POST /arts/:id/comments error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// API: Edit Own Comment
+app.patch(
+  "/arts/:id/comments/:commentId",
+  verifyToken,
+  validateBody(commentUpdateSchema),
+  async (req, res) => {
+    try {
+      const { commentsCollection } = await connectDB();
+      const { id, commentId } = req.params;
+      if (!ObjectId.isValid(id) || !ObjectId.isValid(commentId))
+        return res.status(400).json({ error: "Invalid id" });
+
+      const { text } = req.body;
+
+      const comment = await commentsCollection.findOne({
+        _id: new ObjectId(commentId),
+        artId: new ObjectId(id),
+      });
+      if (!comment) return res.status(404).json({ error: "Comment not found" });
+      // editing is author-only, even for admins
+      if (comment.userEmail !== req.user.email)
+        return res.status(403).json({ error: "Forbidden access" });
+
+      const updated = await commentsCollection.findOneAndUpdate(
+        { _id: comment._id },
+        { $set: { text, edited: true, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      return res.json(updated);
+    } catch (err) {
+      console.error("PATCH /arts/:id/comments/:commentId error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// API: Delete Comment (author or admin; removes its replies too)
+app.delete("/arts/:id/comments/:commentId", verifyToken, async (req, res) => {
+  try {
+    const { commentsCollection } = await connectDB();
+    const { id, commentId } = req.params;
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(commentId))
+      return res.status(400).json({ error: "Invalid id" });
+
+    const comment = await commentsCollection.findOne({
+      _id: new ObjectId(commentId),
+      artId: new ObjectId(id),
+    });
+    if (!comment) return res.status(404).json({ error: "Comment not found" });
+    if (!isOwnerOrAdmin(req.user, comment.userEmail))
+      return res.status(403).json({ error: "Forbidden access" });
+
+    const result = await commentsCollection.deleteMany({
+      $or: [{ _id: comment._id }, { parentId: comment._id }],
+    });
+    return res.json(result);
+  } catch (err) {
+    console.error("DELETE /arts/:id/comments/:commentId error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// --- Collections (Galleries) ---
+// User-curated, ordered sets of artworks stored in the "galleries" collection.
+
+const GALLERY_MAX_ITEMS = 500;
+
+const galleryFields = {
+  title: { type: "string", minLength: 1, maxLength: 100 },
+  description: { type: "string", maxLength: 1000, allowEmpty: true },
+  coverImage: {
+    type: "string",
+    format: "url",
+    maxLength: 2048,
+    allowEmpty: true,
+  },
+  visibility: { type: "string", enum: ["Public", "Private"] },
+};
+const galleryCreateSchema = {
+  ...galleryFields,
+  title: { ...galleryFields.title, required: true },
+};
+const galleryItemSchema = { artId: { type: "objectId", required: true } };
+const galleryOrderSchema = {
+  artIds: {
+    type: "array",
+    required: true,
+    items: { type: "objectId" },
+    maxItems: GALLERY_MAX_ITEMS,
+  },
+};
+
+function canViewGallery(gallery, user) {
+  return (
+    normalizeVisibility(gallery.visibility) === "Public" ||
+    isOwnerOrAdmin(user, gallery.userEmail)
+  );
+}
+
+// Loads a gallery the caller may edit; sends the error response otherwise
+async function findEditableGallery(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ error: "Invalid id" });
+    return null;
+  }
+  const gallery = await galleriesCollection.findOne({ _id: new ObjectId(id) });
+  if (!gallery) {
+    res.status(404).json({ error: "Collection not found" });
+    return null;
+  }
+  if (!isOwnerOrAdmin(req.user, gallery.userEmail)) {
+    res.status(403).json({ error: "Forbidden access" });
+    return null;
+  }
+  return gallery;
+}
+
+// API: Create Collection
+app.post(
+  "/galleries",
+  verifyToken,
+  validateBody(galleryCreateSchema),
+  async (req, res) => {
+    try {
+      const { galleriesCollection } = await connectDB();
+      const now = new Date();
+      const doc = {
+        title: req.body.title,
+        description: req.body.description || "",
+        coverImage: req.body.coverImage || "",
+        visibility: normalizeVisibility(req.body.visibility),
+        artIds: [],
+        userEmail: req.user.email,
+        userName: req.user.name,
+        createdAt: now,
+        updatedAt: now,
+      };
+      const result = await galleriesCollection.insertOne(doc);
+      doc._id = result.insertedId;
+      return res.status(201).json(doc);
+    } catch (err) {
+      console.error("POST /galleries error", err);
+      return res.status(500).json({ error: "Internal server error" });
     }
+  }
+);
 
-    const skip =
-      (Math.max(1, parseInt(page, 10)) - 1) * Math.max(1, parseInt(limit, 10));
-    const lim = Math.max(1, parseInt(limit, 10));
-    const sortObj = sort === "recent" ? { createdAt: -1 } : { createdAt: -1 };
+// API: List a User's Collections (private ones only for the owner/admin)
+app.get("/galleries", optionalAuth, async (req, res) => {
+  try {
+    const { galleriesCollection } = await connectDB();
+    const { email } = req.query;
+    if (!email)
+      return res.status(400).json({ error: "email query param required" });
+    const { page, limit, skip } = parsePagination(req.query, 20);
 
-    const cursor = artCollection
-      .find(query)
-      .sort(sortObj)
-      .skip(skip)
-      .limit(lim);
-    const results = await cursor.toArray();
-    const total = await artCollection.countDocuments(query);
+    const query = { userEmail: String(email).toLowerCase() };
+    if (!isOwnerOrAdmin(req.user, query.userEmail)) {
+      query.visibility = "Public";
+    }
 
-    return res.json({ total, page: Number(page), limit: lim, data: results });
+    const data = await galleriesCollection
+      .aggregate([
+        { $match: query },
+        { $sort: { updatedAt: -1, _id: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $set: { itemCount: { $size: "$artIds" } } },
+      ])
+      .toArray();
+    const total = await galleriesCollection.countDocuments(query);
+    return res.json({ total, page, limit, data });
   } catch (err) {
-    console.error("GET /arts error", err);
+    console.error("GET /galleries error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Get Art Details
-app.get("/arts/:id", async (req, res) => {
+// API: Get Collection with its Artworks (in curated order)
+app.get("/galleries/:id", optionalAuth, async (req, res) => {
   try {
-    const { artCollection } = await connectDB();
+    const { galleriesCollection, artCollection } = await connectDB();
     const { id } = req.params;
     if (!ObjectId.isValid(id))
       return res.status(400).json({ error: "Invalid id" });
 
-    const art = await artCollection.findOne({ _id: new ObjectId(id) });
-    if (!art) return res.status(404).json({ error: "Artwork not found" });
-
-    const artistCount = await artCollection.countDocuments({
-      userEmail: art.userEmail,
+    const gallery = await galleriesCollection.findOne({
+      _id: new ObjectId(id),
     });
+    if (!gallery || !canViewGallery(gallery, req.user))
+      return res.status(404).json({ error: "Collection not found" });
+
+    const arts = await artCollection
+      .find({ _id: { $in: gallery.artIds }, deletedAt: null })
+      .toArray();
+    const byId = new Map(arts.map((a) => [a._id.toString(), a]));
+    // art that has since turned private only stays visible to its own artist
+    const items = gallery.artIds
+      .map((artId) => byId.get(artId.toString()))
+      .filter(
+        (a) =>
+          a &&
+          (normalizeVisibility(a.visibility) === "Public" ||
+            isOwnerOrAdmin(req.user, a.userEmail))
+      );
+
     return res.json({
-      art,
-      artist: {
-        userName: art.userName,
-        userEmail: art.userEmail,
-        artistPhoto: art.artistPhoto || "",
-        totalArtworks: artistCount,
-      },
+      ...gallery,
+      coverImage: gallery.coverImage || items[0]?.image || "",
+      itemCount: items.length,
+      arts: await attachLikedByMe(items, req.user),
     });
   } catch (err) {
-    console.error("GET /arts/:id error", err);
+    console.error("GET /galleries/:id error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Update Art Information
-app.patch("/arts/:id", async (req, res) => {
-  try {
-    const { artCollection } = await connectDB();
-    const { id } = req.params;
-    if (!ObjectId.isValid(id))
-      return res.status(400).json({ error: "Invalid id" });
+// API: Update Collection Details
+app.patch(
+  "/galleries/:id",
+  verifyToken,
+  validateBody(galleryFields),
+  async (req, res) => {
+    try {
+      const { galleriesCollection } = await connectDB();
+      const gallery = await findEditableGallery(req, res);
+      if (!gallery) return;
 
-    const update = { ...req.body };
-    delete update.likes;
-    delete update.createdAt;
-    // Allow updating featured status
-    if (update.visibility)
-      update.visibility = normalizeVisibility(update.visibility);
-    update.updatedAt = new Date();
+      const update = { ...req.body };
+      if (!Object.keys(update).length)
+        return res.status(400).json({ error: "No fields to update" });
+      update.updatedAt = new Date();
 
-    const result = await artCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: update }
-    );
+      const updated = await galleriesCollection.findOneAndUpdate(
+        { _id: gallery._id },
+        { $set: update },
+        { returnDocument: "after" }
+      );
+      return res.json(updated);
+    } catch (err) {
+      console.error("PATCH /galleries/:id error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// API: Delete Collection
+app.delete("/galleries/:id", verifyToken, async (req, res) => {
+  try {
+    const { galleriesCollection } = await connectDB();
+    const gallery = await findEditableGallery(req, res);
+    if (!gallery) return;
+
+    const result = await galleriesCollection.deleteOne({ _id: gallery._id });
     return res.json(result);
   } catch (err) {
-    console.error("PATCH /arts/:id error", err);
+    console.error("DELETE /galleries/:id error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Like Art
-app.patch("/arts/:id/like", async (req, res) => {
-  try {
-    const { artCollection } = await connectDB();
-    const { id } = req.params;
-    if (!ObjectId.isValid(id))
-      return res.status(400).json({ error: "Invalid id" });
-    const _id = new ObjectId(id);
+// API: Add Art to Collection (appended at the end)
+app.post(
+  "/galleries/:id/items",
+  verifyToken,
+  validateBody(galleryItemSchema),
+  async (req, res) => {
+    try {
+      const { galleriesCollection, artCollection } = await connectDB();
+      const gallery = await findEditableGallery(req, res);
+      if (!gallery) return;
 
-    const upd = await artCollection.updateOne({ _id }, { $inc: { likes: 1 } });
-    if (upd.matchedCount === 0)
-      return res.status(404).json({ error: "Artwork not found" });
+      const art = await artCollection.findOne(
+        { _id: new ObjectId(req.body.artId), deletedAt: null },
+        { projection: { visibility: 1, userEmail: 1 } }
+      );
+      if (
+        !art ||
+        (normalizeVisibility(art.visibility) !== "Public" &&
+          !isOwnerOrAdmin(req.user, art.userEmail))
+      )
+        return res.status(404).json({ error: "Artwork not found" });
 
-    const updated = await artCollection.findOne(
-      { _id },
-      { projection: { likes: 1 } }
+      const updated = await galleriesCollection.findOneAndUpdate(
+        {
+          _id: gallery._id,
+          artIds: { $ne: art._id },
+          [`artIds.${GALLERY_MAX_ITEMS - 1}`]: { $exists: false },
+        },
+        { $push: { artIds: art._id }, $set: { updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      if (!updated) {
+        const already = gallery.artIds.some((a) => a.equals(art._id));
+        return res.status(409).json({
+          error: already
+            ? "Artwork already in collection"
+            : `Collections can hold at most ${GALLERY_MAX_ITEMS} artworks`,
+        });
+      }
+      return res.json(updated);
+    } catch (err) {
+      console.error("POST /galleries/:id/items error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// API: Remove Art from Collection
+app.delete("/galleries/:id/items/:artId", verifyToken, async (req, res) => {
+  try {
+    const { galleriesCollection } = await connectDB();
+    const { artId } = req.params;
+    if (!ObjectId.isValid(artId))
+      return res.status(400).json({ error: "Invalid artId" });
+    const gallery = await findEditableGallery(req, res);
+    if (!gallery) return;
+
+    const updated = await galleriesCollection.findOneAndUpdate(
+      { _id: gallery._id },
+      {
+        $pull: { artIds: new ObjectId(artId) },
+        $set: { updatedAt: new Date() },
+      },
+      { returnDocument: "after" }
     );
-    return res.json({ likes: updated?.likes || 0 });
+    return res.json(updated);
   } catch (err) {
-    console.error("PATCH /arts/:id/like error", err);
+    console.error("DELETE /galleries/:id/items/:artId error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Unlike Art
-app.patch("/arts/:id/unlike", async (req, res) => {
+// API: Reorder Collection (artIds must list exactly the current items)
+app.put(
+  "/galleries/:id/items",
+  verifyToken,
+  validateBody(galleryOrderSchema),
+  async (req, res) => {
+    try {
+      const { galleriesCollection } = await connectDB();
+      const gallery = await findEditableGallery(req, res);
+      if (!gallery) return;
+
+      const current = gallery.artIds.map((a) => a.toString()).sort();
+      const next = [...new Set(req.body.artIds)];
+      if (
+        next.length !== req.body.artIds.length ||
+        next.length !== current.length ||
+        [...next].sort().some((a, i) => a !== current[i])
+      ) {
+        return res.status(400).json({
+          error: "artIds must contain each item of the collection exactly once",
+        });
+      }
+
+      // guard against items changing between the read and the write
+      const updated = await galleriesCollection.findOneAndUpdate(
+        { _id: gallery._id, artIds: gallery.artIds },
+        {
+          $set: {
+            artIds: next.map((a) => new ObjectId(a)),
+            updatedAt: new Date(),
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!updated)
+        return res
+          .status(409)
+          .json({ error: "Collection changed, reload and try again" });
+      return res.json(updated);
+    } catch (err) {
+      console.error("PUT /galleries/:id/items error", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// API: Get Artist Profile by email or handle (a leading "@" is optional)
+app.get("/artists/:email", optionalAuth, async (req, res) => {
   try {
-    const { artCollection } = await connectDB();
-    const { id } = req.params;
-    if (!ObjectId.isValid(id))
-      return res.status(400).json({ error: "Invalid id" });
-    const _id = new ObjectId(id);
+    const { artCollection, followsCollection, usersCollection } =
+      await connectDB();
+    const key = String(req.params.email || "").trim();
+    if (!key) return res.status(400).json({ error: "email required" });
 
-    const art = await artCollection.findOne(
-      { _id },
-      { projection: { likes: 1 } }
+    const isEmail = EMAIL_PATTERN.test(key);
+    const user = await usersCollection.findOne(
+      isEmail
+        ? { email: key.toLowerCase() }
+        : { handle: key.replace(/^@/, "").toLowerCase() }
     );
-    if (!art) return res.status(404).json({ error: "Artwork not found" });
-    const current = art.likes || 0;
-    if (current <= 0)
-      return res.status(400).json({ error: "No likes to remove" });
+    if (!user && !isEmail)
+      return res.status(404).json({ error: "Artist not found" });
+    const artistEmail = String(user?.email || key).toLowerCase();
 
-    await artCollection.updateOne({ _id }, { $inc: { likes: -1 } });
-    const updated = await artCollection.findOne(
-      { _id },
-      { projection: { likes: 1 } }
-    );
-    return res.json({ likes: updated?.likes || 0 });
+    const [stats = {}] = await artCollection
+      .aggregate([
+        { $match: { userEmail: artistEmail, deletedAt: null } },
+        {
+          $lookup: {
+            from: "favorites",
+            localField: "_id",
+            foreignField: "artId",
+            pipeline: [{ $count: "count" }],
+            as: "favoriteStats",
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            totalArtworks: { $sum: 1 },
+            publicArtworks: {
+              $sum: {
+                $cond: [
+                  {
+                    $regexMatch: {
+                      input: { $ifNull: ["$visibility", ""] },
+                      regex: /^public$/i,
+                    },
+                  },
+                  1,
+                  0,
+                ],
+              },
+            },
+            likesReceived: { $sum: { $ifNull: ["$likes", 0] } },
+            favoritesReceived: {
+              $sum: { $ifNull: [{ $first: "$favoriteStats.count" }, 0] },
+            },
+          },
+        },
+      ])
+      .toArray();
+    if (!user && !stats.totalArtworks)
+      return res.status(404).json({ error: "Artist not found" });
+
+    const followerCount = await followsCollection.countDocuments({
+      followingEmail: artistEmail,
+    });
+    const followingCount = await followsCollection.countDocuments({
+      followerEmail: artistEmail,
+    });
+    const followedByMe = req.user
+      ? !!(await followsCollection.findOne({
+          followerEmail: req.user.email,
+          followingEmail: artistEmail,
+        }))
+      : false;
+
+    const profile = {
+      userName: user?.name || user?.displayName || "",
+      userEmail: artistEmail,
+      artistPhoto: user?.photoURL || "",
+      joinedAt: user?.createdAt || null,
+      totalArtworks: stats.totalArtworks || 0,
+      publicArtworks: stats.publicArtworks || 0,
+      likesReceived: stats.likesReceived || 0,
+      favoritesReceived: stats.favoritesReceived || 0,
+      followerCount,
+      followingCount,
+      followedByMe,
+    };
+    for (const field of PROFILE_FIELDS) profile[field] = user?.[field] ?? null;
+    return res.json(profile);
   } catch (err) {
-    console.error("PATCH /arts/:id/unlike error", err);
+    console.error("GET /artists/:email error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Get Total Likes
-app.get("/likes/total", async (req, res) => {
+// API: Follow Artist (idempotent)
+app.post("/artists/:email/follow", verifyToken, async (req, res) => {
   try {
-    const { artCollection } = await connectDB();
-    const result = await artCollection
-      .aggregate([{ $group: { _id: null, totalLikes: { $sum: "$likes" } } }])
-      .toArray();
-    return res.json({ totalLikes: result[0]?.totalLikes || 0 });
+    const { usersCollection, followsCollection } = await connectDB();
+    const artistEmail = String(req.params.email).toLowerCase();
+    if (artistEmail === req.user.email)
+      return res.status(400).json({ error: "You cannot follow yourself" });
+
+    const artist = await usersCollection.findOne(
+      { email: artistEmail },
+      { projection: { _id: 1 } }
+    );
+    if (!artist) return res.status(404).json({ error: "Artist not found" });
+
+    await followsCollection.updateOne(
+      { followerEmail: req.user.email, followingEmail: artistEmail },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+    const followerCount = await followsCollection.countDocuments({
+      followingEmail: artistEmail,
+    });
+    return res.json({ following: true, followerCount });
   } catch (err) {
-    console.error("GET /likes/total error", err);
+    // concurrent upserts can race on the unique index; the follow exists either way
+    if (err.code === 11000) return res.json({ following: true });
+    console.error("POST /artists/:email/follow error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Delete Art
-app.delete("/arts/:id", async (req, res) => {
+// API: Unfollow Artist
+app.delete("/artists/:email/follow", verifyToken, async (req, res) => {
   try {
-    const { artCollection, favoritesCollection, reportsCollection } =
-      await connectDB();
-    const { id } = req.params;
-    if (!ObjectId.isValid(id))
-      return res.status(400).json({ error: "Invalid id" });
+    const { followsCollection } = await connectDB();
+    const artistEmail = String(req.params.email).toLowerCase();
 
-    const result = await artCollection.deleteOne({ _id: new ObjectId(id) });
-    // remove favorites referencing this art (best-effort)
-    try {
-      await favoritesCollection.deleteMany({ artId: String(id) });
-      // Also remove associated reports
-      if (reportsCollection) {
-        await reportsCollection.deleteMany({ artId: new ObjectId(id) });
-      }
-    } catch (e) {}
-    return res.json(result);
+    await followsCollection.deleteOne({
+      followerEmail: req.user.email,
+      followingEmail: artistEmail,
+    });
+    const followerCount = await followsCollection.countDocuments({
+      followingEmail: artistEmail,
+    });
+    return res.json({ following: false, followerCount });
   } catch (err) {
-    console.error("DELETE /arts/:id error", err);
+    console.error("DELETE /artists/:email/follow error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Get User's Arts
-app.get("/my-arts", async (req, res) => {
+// API: Following Feed (public arts from followed artists, newest first)
+app.get("/feed", verifyToken, async (req, res) => {
   try {
-    const { artCollection } = await connectDB();
-    const { email } = req.query;
-    if (!email)
-      return res.status(400).json({ error: "email query param required" });
+    const { artCollection, followsCollection } = await connectDB();
+    const { page, limit, skip } = parsePagination(req.query, 12);
+    const sort = { createdAt: -1, _id: -1 };
 
-    const results = await artCollection
-      .find({ userEmail: String(email).toLowerCase() })
-      .sort({ createdAt: -1 })
+    const pager = parseCursorParams(req.query, sort);
+    if (pager.error) return res.status(400).json({ error: pager.error });
+
+    const following = await followsCollection
+      .find(
+        { followerEmail: req.user.email },
+        { projection: { followingEmail: 1 } }
+      )
       .toArray();
-    return res.json(results);
+    const query = {
+      visibility: { $regex: /^public$/i },
+      deletedAt: null,
+      userEmail: { $in: following.map((f) => f.followingEmail) },
+    };
+
+    if (pager.enabled) {
+      const items = await artCollection
+        .find(withCursorMatch(query, pager.match))
+        .sort(sort)
+        .limit(limit + 1)
+        .toArray();
+      const result = buildCursorPage(items, limit, sort);
+      result.data = await attachLikedByMe(result.data, req.user);
+      return res.json(result);
+    }
+
+    const items = await artCollection
+      .find(query)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+    const data = await attachLikedByMe(items, req.user);
+    const total = await artCollection.countDocuments(query);
+    return res.json({ total, page, limit, data });
   } catch (err) {
-    console.error("GET /my-arts error", err);
+    console.error("GET /feed error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Add Art to Favorites
-app.post("/favorites", async (req, res) => {
+// --- Notifications ---
+
+const NOTIFICATION_TYPES = [
+  "like",
+  "favorite",
+  "moderation",
+  "report_update",
+  "role",
+  "offer",
+];
+// notifications expire this many days after they are created (TTL index)
+const NOTIFICATION_TTL_DAYS =
+  parseInt(process.env.NOTIFICATION_TTL_DAYS, 10) || 90;
+
+// Best-effort: a failed notification never fails the action that caused it.
+// Skips notes without a recipient and notes about your own actions. With
+// upsertOn (field names), a note matching an existing one on those fields is
+// not added again.
+async function notify(notes, { upsertOn } = {}) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + NOTIFICATION_TTL_DAYS * DAY_MS);
+  const docs = notes
+    .filter(
+      (n) =>
+        n.recipientEmail &&
+        String(n.recipientEmail).toLowerCase() !== n.actorEmail
+    )
+    .map((n) => ({
+      ...n,
+      recipientEmail: String(n.recipientEmail).toLowerCase(),
+      read: false,
+      createdAt: now,
+      expiresAt,
+    }));
+  if (!docs.length) return;
   try {
-    const { favoritesCollection } = await connectDB();
-    const { artId, userEmail } = req.body;
-    if (!artId || !userEmail)
-      return res.status(400).json({ error: "artId and userEmail required" });
-    if (!ObjectId.isValid(artId))
-      return res.status(400).json({ error: "Invalid artId" });
+    const { notificationsCollection } = await connectDB();
+    if (!upsertOn) {
+      await notificationsCollection.insertMany(docs, { ordered: false });
+      return;
+    }
+    await notificationsCollection.bulkWrite(
+      docs.map((doc) => ({
+        updateOne: {
+          filter: Object.fromEntries(upsertOn.map((f) => [f, doc[f]])),
+          update: { $setOnInsert: doc },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (err) {
+    console.warn("notify failed", err);
+  }
+}
+
+// API: Get My Notifications (supports unread=true, type, page/limit or cursor)
+app.get("/notifications", verifyToken, async (req, res) => {
+  try {
+    const { notificationsCollection } = await connectDB();
+    const query = { recipientEmail: req.user.email };
+    if (req.query.unread === "true") query.read = false;
+    if (req.query.type) {
+      if (!NOTIFICATION_TYPES.includes(req.query.type))
+        return res.status(400).json({ error: "Invalid type" });
+      query.type = req.query.type;
+    }
 
-    const exists = await favoritesCollection.findOne({
-      artId: new ObjectId(artId),
-      userEmail,
+    const unreadCount = await notificationsCollection.countDocuments({
+      recipientEmail: req.user.email,
+      read: false,
     });
-    if (exists) return res.status(409).json({ error: "Already in favorites" });
+    const sort = { createdAt: -1, _id: -1 };
+    const { page, limit, skip } = parsePagination(req.query, 20);
+    const pager = parseCursorParams(req.query, sort);
+    if (pager.error) return res.status(400).json({ error: pager.error });
 
-    const doc = {
-      artId: new ObjectId(artId),
-      userEmail,
-      createdAt: new Date(),
-    };
-    const result = await favoritesCollection.insertOne(doc);
-    return res.status(201).json({ insertedId: result.insertedId });
+    if (pager.enabled) {
+      const items = await notificationsCollection
+        .find(withCursorMatch(query, pager.match))
+        .sort(sort)
+        .limit(limit + 1)
+        .toArray();
+      return res.json({ unreadCount, ...buildCursorPage(items, limit, sort) });
+    }
+
+    const data = await notificationsCollection
+      .find(query)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+    const total = await notificationsCollection.countDocuments(query);
+    return res.json({ total, page, limit, unreadCount, data });
   } catch (err) {
-    console.error("POST /favorites error", err);
+    console.error("GET /notifications error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Get User Favorites
-app.get("/favorites", async (req, res) => {
+// API: Get Unread Notification Count (for the bell badge)
+app.get("/notifications/unread-count", verifyToken, async (req, res) => {
   try {
-    const { artCollection, favoritesCollection } = await connectDB();
-    const { email } = req.query;
-    if (!email)
-      return res.status(400).json({ error: "email query param required" });
-
-    const favs = await favoritesCollection
-      .find({ userEmail: email })
-      .sort({ createdAt: -1 })
-      .toArray();
-    const artIds = favs.map((f) => f.artId);
-    const arts = await artCollection.find({ _id: { $in: artIds } }).toArray();
-
-    const data = favs.map((f) => {
-      const art = arts.find((a) => a._id.toString() === f.artId.toString());
-      return { favoriteId: f._id, createdAt: f.createdAt, art: art || null };
+    const { notificationsCollection } = await connectDB();
+    const unread = await notificationsCollection.countDocuments({
+      recipientEmail: req.user.email,
+      read: false,
     });
+    return res.json({ unread });
+  } catch (err) {
+    console.error("GET /notifications/unread-count error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    return res.json(data);
+// API: Mark All Notifications Read
+app.patch("/notifications/read-all", verifyToken, async (req, res) => {
+  try {
+    const { notificationsCollection } = await connectDB();
+    const result = await notificationsCollection.updateMany(
+      { recipientEmail: req.user.email, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    return res.json({ modified: result.modifiedCount });
   } catch (err) {
-    console.error("GET /favorites error", err);
+    console.error("PATCH /notifications/read-all error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Remove from Favorites
-app.delete("/favorites/:id", async (req, res) => {
+// API: Mark One Notification Read
+app.patch("/notifications/:id/read", verifyToken, async (req, res) => {
   try {
-    const { favoritesCollection } = await connectDB();
+    const { notificationsCollection } = await connectDB();
     const { id } = req.params;
     if (!ObjectId.isValid(id))
       return res.status(400).json({ error: "Invalid id" });
 
-    const result = await favoritesCollection.deleteOne({
+    const notification = await notificationsCollection.findOne({
       _id: new ObjectId(id),
+      recipientEmail: req.user.email,
     });
-    return res.json(result);
+    if (!notification)
+      return res.status(404).json({ error: "Notification not found" });
+    if (notification.read) return res.json(notification);
+
+    const updated = await notificationsCollection.findOneAndUpdate(
+      { _id: notification._id },
+      { $set: { read: true, readAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    return res.json(updated);
   } catch (err) {
-    console.error("DELETE /favorites/:id error", err);
+    console.error("PATCH /notifications/:id/read error", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API: Get Artist Profile
-app.get("/artists/:email", async (req, res) => {
+// --- Live Events (SSE) ---
+
+// Fan-out bus for SSE clients. A MongoDB change stream feeds it when the
+// server supports one (replica set / mongos); otherwise the write routes feed
+// it through publishEvent(), which only reaches clients on this instance.
+const liveEvents = new EventEmitter();
+liveEvents.setMaxListeners(0);
+let changeStream = null;
+let changeStreamStarting = null;
+
+const SSE_MAX_ARTS = 50;
+const SSE_HEARTBEAT_MS = 25000;
+
+function artEventData(art) {
+  return {
+    _id: art._id,
+    title: art.title,
+    userName: art.userName,
+    userEmail: art.userEmail,
+    category: art.category,
+    visibility: art.visibility,
+    createdAt: art.createdAt,
+  };
+}
+
+function reportEventData(report) {
+  return {
+    _id: report._id,
+    targetType: report.targetType || "art",
+    artId: report.artId,
+    artTitle: report.artTitle,
+    commentId: report.commentId,
+    reason: report.reason,
+    createdAt: report.createdAt,
+  };
+}
+
+// Called by the write routes; skipped while the change stream reports changes
+function publishEvent(type, data) {
+  if (!changeStream) liveEvents.emit(type, data);
+}
+
+function changeToEvent(change) {
+  const coll = change.ns?.coll;
+  if (change.operationType === "insert") {
+    if (coll === "arts") return ["new_art", artEventData(change.fullDocument)];
+    if (coll === "reports")
+      return ["new_report", reportEventData(change.fullDocument)];
+  }
+  const likes = change.updateDescription?.updatedFields?.likes;
+  if (change.operationType === "update" && coll === "arts" && likes != null)
+    return ["like", { artId: change.documentKey._id, likes }];
+  return null;
+}
+
+// Opens the change stream once per process; leaves in-process events in
+// charge when the server can't provide one or the stream dies
+async function startChangeStream() {
+  if (changeStream) return;
+  if (!changeStreamStarting) {
+    changeStreamStarting = (async () => {
+      try {
+        await connectDB();
+        if (!(await supportsTransactions())) return;
+        const stream = db.watch([
+          {
+            $match: {
+              $or: [
+                {
+                  operationType: "insert",
+                  "ns.coll": { $in: ["arts", "reports"] },
+                },
+                {
+                  operationType: "update",
+                  "ns.coll": "arts",
+                  "updateDescription.updatedFields.likes": { $exists: true },
+                },
+              ],
+            },
+          },
+        ]);
+        stream.on("change", (change) => {
+          const event = changeToEvent(change);
+          if (event) liveEvents.emit(...event);
+        });
+        stream.on("error", (err) => {
+          console.warn("Change stream closed, using in-process events", err);
+          changeStream = null;
+          stream.close().catch(() => {});
+        });
+        changeStream = stream;
+      } catch (err) {
+        console.warn(
+          "Change streams unavailable, using in-process events",
+          err
+        );
+      } finally {
+        changeStreamStarting = null;
+      }
+    })();
+  }
+  return changeStreamStarting;
+}
+
+// EventSource can't send headers, so /events also takes the JWT as ?token=
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// API: Live Events (SSE). `arts=id1,id2` streams like counts for those arts;
+// admins also receive new_art and new_report.
+app.get("/events", tokenFromQuery, optionalAuth, async (req, res) => {
   try {
     const { artCollection } = await connectDB();
-    const { email } = req.params;
-    if (!email) return res.status(400).json({ error: "email required" });
+    const artIds = [
+      ...new Set(
+        String(req.query.arts || "")
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean)
+      ),
+    ];
+    if (artIds.length > SSE_MAX_ARTS)
+      return res
+        .status(400)
+        .json({ error: `At most ${SSE_MAX_ARTS} arts per stream` });
+    if (artIds.some((id) => !ObjectId.isValid(id)))
+      return res.status(400).json({ error: "Invalid art id" });
+    const isAdmin = req.user?.role === "Admin";
+    if (!artIds.length && !isAdmin)
+      return res.status(400).json({ error: "arts query param required" });
+
+    await startChangeStream();
+    // ids the caller may not see (private or trashed) are silently dropped
+    const current = (
+      await artCollection
+        .find(
+          {
+            _id: { $in: artIds.map((id) => new ObjectId(id)) },
+            deletedAt: null,
+          },
+          { projection: { likes: 1, visibility: 1, userEmail: 1 } }
+        )
+        .toArray()
+    ).filter(
+      (art) =>
+        normalizeVisibility(art.visibility) === "Public" ||
+        isOwnerOrAdmin(req.user, art.userEmail)
+    );
 
-    const totalArtworks = await artCollection.countDocuments({
-      userEmail: email,
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // keep proxies from buffering the stream
     });
-    const oneArt = await artCollection.findOne({ userEmail: email });
-    const profile = {
-      userName: oneArt?.userName || "",
-      userEmail: email,
-      artistPhoto: oneArt?.artistPhoto || "",
-      totalArtworks,
+    res.flushHeaders();
+    const send = (event, data) =>
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    res.write("retry: 5000\n\n");
+    // current counts first so clients start from a known value
+    for (const art of current)
+      send("like", { artId: art._id, likes: art.likes || 0 });
+
+    const watched = new Set(current.map((art) => String(art._id)));
+    const handlers = {
+      like: (data) => {
+        if (watched.has(String(data.artId))) send("like", data);
+      },
     };
-    return res.json(profile);
+    if (isAdmin) {
+      handlers.new_art = (data) => send("new_art", data);
+      handlers.new_report = (data) => send("new_report", data);
+    }
+    for (const [type, fn] of Object.entries(handlers)) liveEvents.on(type, fn);
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      SSE_HEARTBEAT_MS
+    );
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      for (const [type, fn] of Object.entries(handlers))
+        liveEvents.off(type, fn);
+    });
   } catch (err) {
-    console.error("GET /artists/:email error", err);
+    console.error("GET /events error", err);
+    if (res.headersSent) return res.end();
     return res.status(500).json({ error: "Internal server error" });
   }
 });
@@ -828,6 +5887,12 @@ if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
+  // serverless deployments call POST /admin/trash/purge instead
+  setInterval(() => {
+    purgeExpiredTrash()
+      .then(sweepOrphanedUploads)
+      .catch((err) => console.warn("Scheduled trash purge failed", err));
+  }, TRASH_PURGE_INTERVAL_MS).unref();
 }
 
 module.exports = app;
\ No newline at end of file